@@ -0,0 +1,92 @@
+/**
+ * The Exai Bio Homepage Interactive's Default Choreography.
+ *
+ * Describes all of the background motion of the interactive as plain data, which ExaiInteractive compiles into the sacred timeline.
+ * Designers can tweak this, or pass an entirely different one in via the `choreography` config option.
+ *
+ * Each step tweens a single property of a target between two timeline labels:
+ *
+ * - target:   What to animate. One of `background`, `rainbow`, `rainbowImage`, `maskImage`, `images`, `gradientStops`,
+ *             `focalShape`, `shapes`, `drawableShapes`, `maskShapes` or `expandableShapes`.
+ * - property: The property to animate. `scale`, `angle` and `strokeWidth` work on canvas drawables too.
+ *             `position` is special, and moves shapes to a named place: `scatter`, `guide` or `focal`.
+ * - value:    A number, a `{ config }` key, a `{ ratio }` key (optionally multiplied by a `{ config }` key),
+ *             or a `{ random: [minConfigKey, maxConfigKey] }` with an optional `randomizeSign`.
+ *             Arrays give each of the target's items their own value, stretching to fit when there are more or fewer items,
+ *             like the gradient stops of a theme with more colors.
+ * - from/to:  Timeline labels to tween between. Either stage labels (`stage0In`) or stage role labels (`scatterSnap`).
+ * - at:       Used instead of from/to to set the value instantly at a label.
+ * - stagger:  Optional delay between each of the target's items. Same format as a value.
+ *
+ * Steps with `perStage` instead of from/to get a keyframe per stage, with the value arrays keyed by what the stage does.
+ * The intro and outro `rest`, while the stages in between alternate `compress` and `stretch`, always landing on a compress for the snap.
+ */
+
+export default [
+
+	// Background ------------------------------------------- //
+
+	{ target: 'background', property: 'scale', value: 1, from: 'introIn', to: 'introSnap' },
+	{ target: 'rainbow', property: 'opacity', value: 1, from: 'introIn', to: 'introSnap' },
+	{ target: 'background', property: 'scale', value: { config: 'imageScaleTo' }, from: 'snapContentOut', to: 'end' },
+
+	// Gradient stops --------------------------------------- //
+
+	{
+		target   : 'gradientStops',
+		property : 'offset',
+		perStage : {
+			rest     : [0, 0.5, 1],
+			compress : [0, 0.375, 0.875],
+			stretch  : [0.125, 0.625, 1]
+		}
+	},
+
+	// Images ----------------------------------------------- //
+
+	{ target: 'rainbowImage', property: 'opacity', value: { config: 'rainbowImageOpacityMin' }, from: 'introIn', to: 'introContentIn' },
+	{ target: 'rainbowImage', property: 'opacity', value: { config: 'rainbowImageOpacityMax' }, from: 'introContentIn', to: 'focalContentOut' },
+	{ target: 'rainbowImage', property: 'opacity', value: { config: 'rainbowImageOpacityMin' }, from: 'focalContentOut', to: 'scatterOut' },
+	{ target: 'rainbowImage', property: 'opacity', value: { config: 'rainbowImageOpacityMax' }, from: 'scatterOut', to: 'snapSnap' },
+	{ target: 'rainbowImage', property: 'opacity', value: { config: 'rainbowImageOpacityTo' }, from: 'snapSnap', to: 'end' },
+
+	{ target: 'images', property: 'scale', value: { ratio: 'backgroundToImage', config: 'imageScaleMax' }, from: 'introSnap', to: 'scatterSnap' },
+	{ target: 'images', property: 'scale', value: { ratio: 'backgroundToImage' }, from: 'scatterSnap', to: 'snapSnap' },
+
+	{ target: 'maskImage', property: 'opacity', value: 0, from: 'snapIn', to: 'snapSnap' },
+
+	// Shapes ----------------------------------------------- //
+
+	// Show them so that they don't start rendering in a weird way before the images animate in.
+
+	{ target: 'shapes', property: 'opacity', value: 1, at: 'introContentIn' },
+	{ target: 'maskImage', property: 'opacity', value: 1, at: 'introContentIn' },
+
+	// Expand the focal point.
+
+	{ target: 'focalShape', property: 'scale', value: 1, from: 'introContentOut', to: 'focalSnap' },
+	{ target: 'focalShape', property: 'scale', value: { config: 'focalPointScaleToMax' }, from: 'focalSnap', to: 'scatterSnap' },
+
+	// Expand out the other shapes.
+
+	{ target: 'expandableShapes', property: 'position', value: 'scatter', from: 'focalSnap', to: 'scatterSnap', stagger: { config: 'shapeExpandStagger' } },
+	{ target: 'expandableShapes', property: 'angle', value: { random: ['shapeRotateToMin', 'shapeRotateToMax'], randomizeSign: true }, from: 'focalSnap', to: 'scatterSnap', stagger: { config: 'shapeExpandStagger' } },
+	{ target: 'expandableShapes', property: 'scale', value: { random: ['shapeScaleToMin', 'shapeScaleToMax'] }, from: 'focalSnap', to: 'scatterSnap', stagger: { config: 'shapeExpandStagger' } },
+
+	// Snap them all into place.
+
+	{ target: 'shapes', property: 'position', value: 'guide', from: 'scatterSnap', to: 'snapSnap', stagger: { config: 'shapeSnapStagger' } },
+	{ target: 'shapes', property: 'angle', value: 0, from: 'scatterSnap', to: 'snapSnap', stagger: { config: 'shapeSnapStagger' } },
+	{ target: 'shapes', property: 'scale', value: 1, from: 'scatterSnap', to: 'snapSnap', stagger: { config: 'shapeSnapStagger' } },
+
+	// Add their strokes.
+
+	{ target: 'drawableShapes', property: 'strokeWidth', value: { config: 'shapeStrokeWidth' }, from: 'snapIn', to: 'snapSnap', stagger: { config: 'shapeSnapStagger' } },
+
+	// Fade them out.
+
+	{ target: 'shapes', property: 'position', value: 'focal', from: 'snapContentOut', to: 'outroSnap', stagger: { config: 'shapeSnapStagger' } },
+	{ target: 'shapes', property: 'opacity', value: 0, from: 'snapContentOut', to: 'outroSnap', stagger: { config: 'shapeSnapStagger' } },
+	{ target: 'shapes', property: 'angle', value: { random: ['shapeRotateToMin', 'shapeRotateToMax'], randomizeSign: true }, from: 'snapContentOut', to: 'outroSnap', stagger: { config: 'shapeSnapStagger' } },
+	{ target: 'shapes', property: 'scale', value: 0, from: 'snapContentOut', to: 'outroSnap', stagger: { config: 'shapeSnapStagger' } }
+];
@@ -11,6 +11,7 @@ import '../stylesheets/style.scss';
 
 import { $on } from './utils';
 
+import ExaiRegistry from './registry';
 import ExaiSmoothScroll from './smooth-scroll';
 import ExaiInteractive from './interactive';
 import ExaiJobOpenings from './job-openings';
@@ -28,20 +29,23 @@ $on( window, 'load', window.ExaiSmoothScroll.init.bind( window.ExaiSmoothScroll
 
 /**
  * Interactive.
+ * One per `.exai-interactive` on the page.
  */
 const interactiveConfig = {
-	enabled : false
+	enabled : false,
+	lazy    : true
 };
 
-window.ExaiInteractive = new ExaiInteractive( interactiveConfig );
-$on( window, 'smoothScrollSetup', window.ExaiInteractive.init.bind( window.ExaiInteractive ) );
+window.ExaiInteractiveRegistry = new ExaiRegistry( ExaiInteractive, '.exai-interactive', interactiveConfig );
+$on( window, 'smoothScrollSetup', window.ExaiInteractiveRegistry.init.bind( window.ExaiInteractiveRegistry ) );
 
 /**
  * Job openings.
+ * One per `.exai-job-openings` on the page.
  */
 const JobOpeningsConfig = {
 
 };
 
-window.ExaiJobOpenings = new ExaiJobOpenings( JobOpeningsConfig );
-$on( window, 'load', window.ExaiJobOpenings.init.bind( window.ExaiJobOpenings ) );
+window.ExaiJobOpeningsRegistry = new ExaiRegistry( ExaiJobOpenings, '.exai-job-openings', JobOpeningsConfig );
+$on( window, 'load', window.ExaiJobOpeningsRegistry.init.bind( window.ExaiJobOpeningsRegistry ) );
@@ -10,9 +10,17 @@ import { fabric } from 'fabric';
 import { gsap } from 'gsap';
 import { SplitText } from 'gsap/SplitText';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
-gsap.registerPlugin( ScrollTrigger );
+import { ScrollSmoother } from 'gsap/ScrollSmoother';
+gsap.registerPlugin( ScrollTrigger, ScrollSmoother );
 
-import { qs, qsa, $on, randInRange, mergeObj, normalizeBoundingRect, transformBoundingRect, getLabelTime } from './utils';
+import { qs, qsa, $on, $onMediaChange, getHashPart, setHashPart, randInRange, createRandom, shuffle, mergeObj, getDataConfig, normalizeBoundingRect, transformBoundingRect, getLabelTime } from './utils';
+import defaultChoreography from './choreography';
+import ExaiWorkerRenderer from './worker-renderer';
+
+// Scroll normalization is global to the page, so we count the instances relying on having turned it on themselves.
+// It only gets turned off again once the last of them is destroyed, and never when something else turned it on.
+
+let normalizedScrollCount = 0;
 
 export default class ExaiInteractive {
 
@@ -20,25 +28,57 @@ export default class ExaiInteractive {
 	/* Setup & Initialization ------------------------------- */
 	/* ------------------------------------------------------ */
 
+	/**
+	 * Gets the device's pixel ratio, capped at `ExaiInteractive.maxPixelRatio`.
+	 */
+	static getDevicePixelRatio() {
+		return Math.min( window.devicePixelRatio || 1, ExaiInteractive.maxPixelRatio );
+	}
+
 	/**
 	 * Constructor.
 	 *
 	 * Creates the class and configures all of the configuration options.
 	 * This helps us define things like the animation speeds, eases, etc. without editing code.
+	 * Optionally takes the element to bind to, otherwise the first one on the page gets used.
 	 */
-	constructor( config = {} ) {
+	constructor( config = {}, element = null ) {
 
 		// User config
 
 		const defaultConfig = {
 
 			enabled                    : true,
+			reducedMotion              : 'auto',
+			seed                       : null,
+
+			lazy                       : false,
+			lazyMargin                 : '100%',
+
+			choreography               : defaultChoreography,
+
+			theme                      : {},
+
+			shapeLayout                : null,
+
+			renderer                   : 'fabric',
+			quality                    : 'adaptive',
+			frameBudget                : 8,
+			lowQualityStrokeWidth      : 1,
+			retina                     : false,
+
+			resizeDebounce             : 250,
+			resizeThreshold            : 0.25,
+
+			deepLinking                : true,
+			stageHashPrefix            : 'exai-stage-',
 
 			scrollLength               : 9,
 			scrubFactor                : 0.5,
 
-			snapScroll                 : true,
+			snapScroll                 : 'everywhere',
 			snapDelay                  : 0.1,
+			snapTouchDelay             : 0.3,
 			snapDurationMin            : 0.05,
 			snapDurationMax            : 1.25,
 
@@ -84,14 +124,43 @@ export default class ExaiInteractive {
 			scrollPromptLettersStagger : 0.0055
 		};
 
-		this.config = mergeObj( defaultConfig, config );
+		this.config  = mergeObj( defaultConfig, config );
+		this.element = element;
+
+		this.createReadyPromise();
 
 		// Internal config
 
 		this.blockClassName       = 'exai-interactive';
+		this.staticClassName      = `${this.blockClassName}--static`;
+		this.reducedMotionQuery   = '(prefers-reduced-motion: reduce)';
 		this.dynamicComponents    = ['header', 'body'];
-		this.stageCount           = 5;
-		this.focalPointShapeIndex = 18;
+		this.minStageCount        = 3;
+		this.focalShapeAttr       = 'data-focal';
+		this.shapeTypes           = ['circle', 'ellipse', 'rect', 'polygon', 'polyline', 'line', 'path'];
+		this.svgNamespace         = 'http://www.w3.org/2000/svg';
+
+		// The background choreography is expressed in terms of what each stage does rather than which stage it is.
+		// These get mapped onto actual stages once we know how many there are.
+
+		this.softStageRoles = ['focal', 'scatter'];
+		this.stageRoleLabels = [
+			['intro', 'In'],
+			['intro', 'ContentIn'],
+			['intro', 'Snap'],
+			['intro', 'ContentOut'],
+			['intro', 'Out'],
+			['focal', 'Snap'],
+			['focal', 'ContentOut'],
+			['focal', 'Out'],
+			['scatter', 'Snap'],
+			['scatter', 'Out'],
+			['snap', 'In'],
+			['snap', 'Snap'],
+			['snap', 'ContentOut'],
+			['snap', 'Out'],
+			['outro', 'Snap']
+		];
 
 		this.colors = {
 			white        : '#ffffff',
@@ -100,10 +169,50 @@ export default class ExaiInteractive {
 			hotCoral     : '#f2336a'
 		};
 
+		// The theme used when neither the config nor the custom properties on the element have one.
+
+		this.defaultTheme = {
+			stroke   : this.colors.white,
+			gradient : [this.colors.hotCoral, this.colors.auroraPurple, this.colors.seaCrystal]
+		};
+
+		this.themeProperties = {
+			stroke       : `--${this.blockClassName}-stroke`,
+			gradientStop : `--${this.blockClassName}-gradient-stop-`
+		};
+
 		this.strokeWidthKey         = '_exaiStrokeWidth';
 		this.scaleKey               = '_exaiScale';
+		this.angleKey               = '_exaiAngle';
 		this.cacheBusterKey         = '_exaiCacheBuster';
+		this.stageChangeEvent       = 'exaiInteractive:stagechange';
+		this.progressEvent          = 'exaiInteractive:progress';
+		this.progressLabel          = 'Interactive progress';
+		this.progressStageLabel     = 'Stage';
+		this.shapeIndexKey          = '_exaiShapeIndex';
+		this.isMaskKey              = '_exaiIsMask';
 		this.tweenNullTarget        = { value: 0 };
+		this.frameTimeSamples       = 10;
+		this.gradientStartOffset    = 0.666;
+
+		// The properties that get animated on each kind of drawable.
+		// A drawable only counts as changed when one of these does, which is all we check before rendering.
+
+		this.animatedKeys = {
+			rainbow       : ['left', 'top', 'width', 'height', 'opacity'],
+			gradientStops : ['offset'],
+			images        : ['opacity', this.scaleKey, this.angleKey],
+			mask          : ['width', 'height'],
+			shapes        : ['left', 'top', 'radius', 'opacity', this.scaleKey, this.angleKey, this.strokeWidthKey]
+		};
+
+		// Choreography properties that map onto our own keys when animating canvas drawables.
+
+		this.choreographyPropertyAliases = {
+			scale       : this.scaleKey,
+			angle       : this.angleKey,
+			strokeWidth : this.strokeWidthKey
+		};
 	}
 
 	/**
@@ -114,26 +223,235 @@ export default class ExaiInteractive {
 	 */
 	init() {
 
+		this.selector = `.${this.blockClassName}`;
+		this.element  = this.element || qs( this.selector );
+
+		// Data attributes on the element override the config, so each instance can be configured individually.
+
+		if ( this.element ) {
+			this.config = mergeObj( this.config, getDataConfig( this.element, this.config ) );
+		}
+
 		if ( ! this.config.enabled ) {
+			this.resolveReady( null );
 			return;
 		}
 
-		this.selector        = `.${this.blockClassName}`;
-		this.element         = qs( this.selector );
 		this.interactive     = qs( `${this.selector}__interactive`, this.element );
 		this.backgroundSizer = qs( `${this.selector}__background-sizer`, this.element );
 
+		this.listenerRemovers = [];
+		this.appliedStageHash = false;
+		this.stageHashValue   = getHashPart( this.getStageHashPrefix() );
+		this.targetStage      = null;
+
 		if ( this.element ) {
 
+			// The stage count comes straight from the setup markup, so content managers can add or drop stages freely.
+
+			this.setupStages = qsa( `${this.selector}__setup-stage`, this.element );
+			this.stageCount  = this.setupStages.length;
+
+			if ( this.stageCount < this.minStageCount ) {
+				console.warn( `ExaiInteractive needs at least ${this.minStageCount} stages, found ${this.stageCount}.` );
+				this.resolveReady( null );
+				return;
+			}
+
+			this.calculateStageRoles();
+
+			// Reduced motion can be forced either way via config, otherwise it follows the user's preference live.
+
+			this.reducedMotionMediaQuery = window.matchMedia( this.reducedMotionQuery );
+			this.isStatic                = this.shouldBeStatic();
+			this.applyMotionMode();
+
+			if ( this.config.reducedMotion === 'auto' ) {
+				this.listenerRemovers.push( $onMediaChange( this.reducedMotionMediaQuery, this.handleReducedMotionChange.bind( this ) ) );
+			}
+
+			// Snapping on touch devices fights the browser's own momentum scrolling unless scrolling is normalized.
+			// The smoother normally takes care of that, but if it doesn't, we do.
+
+			if ( this.shouldSnap() && ScrollTrigger.isTouch === 1 && ( normalizedScrollCount > 0 || ! ScrollTrigger.normalizeScroll() ) ) {
+				ScrollTrigger.normalizeScroll( true );
+				normalizedScrollCount += 1;
+				this.normalizedScroll = true;
+			}
+
 			// We use events here to ensure sequencing.
 			// Browsers sometimes do things out of order when they aren't chained to event callbacks.
+			// They're dispatched on the element so that multiple instances don't set each other off.
+
+			this.listenerRemovers.push(
+				$on( this.element, 'dynamicContentSetupComplete', this.setupAnimations.bind( this ) ),
+				$on( this.element, 'animationSetupComplete', this.createTheSacredTimeline.bind( this ) ),
+				$on( window, 'resize', this.handleResize.bind( this ) ),
+				$on( window, 'orientationchange', this.handleResize.bind( this ) )
+			);
+
+			// Back and forward can land on a stage's hash as either of these, depending on the browser and how it got there.
+
+			if ( this.config.deepLinking ) {
+				this.listenerRemovers.push(
+					$on( window, 'popstate', this.handleHistoryChange.bind( this ) ),
+					$on( window, 'hashchange', this.handleHistoryChange.bind( this ) )
+				);
+			}
+
+			// Lazily, nothing gets built until the section comes within the margin of the viewport.
+			// Deep links can't wait for that, so they set up straight away.
+
+			if ( this.shouldSetupLazily() ) {
+				this.setupObserver = new IntersectionObserver( this.handleIntersection.bind( this ), { rootMargin: this.config.lazyMargin } );
+				this.setupObserver.observe( this.element );
+			}
+			else {
+				this.setupDynamicContent();
+			}
+		}
+		else {
+			this.resolveReady( null );
+		}
+	}
+
+	/**
+	 * Creates the `ready` promise, which resolves with the instance once the sacred timeline has been created.
+	 *
+	 * Handy for anything that needs the interactive set up first, especially when it's lazy.
+	 * When it's disabled, missing its element or stages, or destroyed first, it never gets set up, so it resolves with null instead.
+	 */
+	createReadyPromise() {
+		this.ready = new Promise( ( resolve ) => {
+			this.resolveReady = resolve;
+		} );
+	}
+
+	/**
+	 * Stops waiting for the section to come near the viewport, and sets it up.
+	 */
+	setupNow() {
 
-			$on( window, 'dynamicContentSetupComplete', this.setupAnimations.bind( this ) );
-			$on( window, 'animationSetupComplete', this.createTheSacredTimeline.bind( this ) );
-			$on( window, 'resize', this.handleResize.bind( this ) );
+		this.setupObserver.disconnect();
+		this.setupObserver = null;
 
-			this.setupDynamicContent();
+		this.setupDynamicContent();
+	}
+
+	/**
+	 * Destroyer.
+	 *
+	 * Removes every listener, kills the timeline, disposes of the canvas and restores the original DOM.
+	 * Afterwards, init() can be called again cleanly.
+	 */
+	destroy() {
+
+		for ( const removeListener of this.listenerRemovers || [] ) {
+			removeListener();
+		}
+
+		this.listenerRemovers = [];
+
+		window.clearTimeout( this.setupTimeout );
+		window.clearTimeout( this.resizeTimeout );
+		window.cancelAnimationFrame( this.renderRequest );
+		this.renderRequest = null;
+
+		if ( this.setupObserver ) {
+			this.setupObserver.disconnect();
+			this.setupObserver = null;
+		}
+
+		if ( this.normalizedScroll ) {
+
+			normalizedScrollCount -= 1;
+			this.normalizedScroll = false;
+
+			if ( normalizedScrollCount === 0 ) {
+				ScrollTrigger.normalizeScroll( false );
+			}
+		}
+
+		if ( this.theSacredTimeline ) {
+			this.killTheSacredTimeline();
+		}
+
+		if ( this.animatableContent ) {
+
+			const animatableElements = Object.values( this.animatableContent ).flat( 2 ).filter( ( animatable ) => animatable instanceof Element );
+
+			gsap.set( [this.background, ...animatableElements], { clearProps: 'all' } );
+
+			this.revertAnimatableContent();
+			this.animatableContent = null;
+		}
+
+		if ( this.workerRenderer ) {
+			this.workerRenderer.destroy();
+			this.workerRenderer = null;
+		}
+
+		if ( this.fabricCanvas ) {
+			this.fabricCanvas.dispose();
+			this.fabricCanvas = null;
+		}
+
+		this.renderScene = null;
+
+		// Then, put the DOM back the way we found it.
+
+		for ( const dynamicContainer of this.dynamicContainers || [] ) {
+			dynamicContainer.innerHTML = '';
+		}
+
+		for ( const progressStage of this.progressStages || [] ) {
+			progressStage.remove();
 		}
+
+		if ( this.staticStagesContainer ) {
+			this.staticStagesContainer.remove();
+		}
+
+		if ( this.originalShapeGuide ) {
+			this.shapeGuideSvg.setAttribute( 'viewBox', this.originalShapeGuide.viewBox );
+			this.shapeGuideSvg.innerHTML = this.originalShapeGuide.markup;
+			this.originalShapeGuide = null;
+		}
+
+		for ( const [element, sizes] of this.originalBackgroundImageSizes || [] ) {
+
+			if ( sizes === null ) {
+				element.removeAttribute( 'sizes' );
+			}
+			else {
+				element.setAttribute( 'sizes', sizes );
+			}
+		}
+
+		this.originalBackgroundImageSizes = null;
+		this.backgroundImageSizes         = null;
+
+		if ( this.shapeGuide ) {
+			this.shapeGuide.style.removeProperty( 'padding-top' );
+		}
+
+		if ( this.progress ) {
+			this.progress.removeAttribute( 'aria-label' );
+		}
+
+		if ( this.element ) {
+			this.element.classList.remove( this.staticClassName );
+		}
+
+		this.dynamicContainers     = null;
+		this.progressStages        = null;
+		this.staticStagesContainer = null;
+		this.dimensions            = null;
+
+		// Anyone still waiting on the old promise gets let go, and the next init() gets a fresh one.
+
+		this.resolveReady( null );
+		this.createReadyPromise();
 	}
 
 	/**
@@ -145,14 +463,13 @@ export default class ExaiInteractive {
 
 		// Copy the content specified in the setup bit to the interactive bit.
 
-		const setupStages      = qsa( `${this.selector}__setup-stage`, this.element );
 		this.dynamicContainers = this.dynamicComponents.map( ( componentType ) => qs( `${this.selector}__${componentType}-container`, this.element ) );
 
 		for ( let setupStageIndex = 0; setupStageIndex < this.stageCount; setupStageIndex++ ) {
 
 			for ( const [componentIndex, component] of this.dynamicComponents.entries() ) {
 
-				const stageComponent = setupStages[setupStageIndex].children.item( componentIndex );
+				const stageComponent = this.setupStages[setupStageIndex].children.item( componentIndex );
 
 				if ( ! stageComponent ) {
 					break;
@@ -170,19 +487,55 @@ export default class ExaiInteractive {
 			}
 		}
 
+		// Create the static stages.
+		// These stack each stage's content in reading order for when we're not animating.
+
+		this.staticStagesContainer = document.createElement( 'div' );
+		this.staticStagesContainer.classList.add( `${this.blockClassName}__static-stages` );
+		this.staticStages = [];
+
+		for ( const setupStage of this.setupStages ) {
+
+			const staticStage = document.createElement( 'div' );
+			staticStage.classList.add( `${this.blockClassName}__static-stage` );
+
+			for ( const stageComponent of setupStage.children ) {
+				for ( const child of stageComponent.children ) {
+					staticStage.appendChild( child.cloneNode( true ) );
+				}
+			}
+
+			this.staticStages.push( staticStage );
+			this.staticStagesContainer.appendChild( staticStage );
+		}
+
+		this.dynamicContainers[0].parentNode.insertBefore( this.staticStagesContainer, this.dynamicContainers[0] );
+
 		// Create the progress indicators.
 		// First and last stages don't have them, so we chop 2 off the count.
+		// Each one doubles as a button to jump to its stage.
 
 		this.progress          = qs( `${this.selector}__progress`, this.element );
 		this.progressStages    = [];
 		this.progressStageBars = [];
 
+		this.progress.setAttribute( 'aria-label', this.progressLabel );
+
 		for ( let i = 0; i < this.stageCount - 2; i++ ) {
 
-			const progressStage = document.createElement( 'div' );
+			const stage       = i + 1;
+			const stageHeader = this.setupStages[stage].children.item( 0 );
+			const stageTitle  = stageHeader ? stageHeader.textContent.trim() : '';
+
+			const progressStage = document.createElement( 'button' );
+			progressStage.type = 'button';
 			progressStage.classList.add( `${this.blockClassName}__progress-stage` );
+			progressStage.setAttribute( 'aria-label', stageTitle ? `${stage}. ${stageTitle}` : `${this.progressStageLabel} ${stage}` );
+			progressStage.tabIndex = i === 0 ? 0 : -1;
 			this.progressStages.push( progressStage );
 
+			$on( progressStage, 'click', () => this.goToStage( stage ) );
+
 			const progressStageBar = document.createElement( 'div' );
 			progressStageBar.classList.add( `${this.blockClassName}__progress-stage-bar` );
 			this.progressStageBars.push( progressStageBar );
@@ -191,11 +544,13 @@ export default class ExaiInteractive {
 			this.progress.appendChild( progressStage );
 		}
 
+		this.listenerRemovers.push( $on( this.progress, 'keydown', this.handleProgressKeydown.bind( this ) ) );
+
 		// Push this event to the next tick.
 		// Sometimes layout shifting of the content causes issues setting up the animation.
 
-		window.setTimeout(
-			() => window.dispatchEvent( new CustomEvent( 'dynamicContentSetupComplete' ) ),
+		this.setupTimeout = window.setTimeout(
+			() => this.element.dispatchEvent( new CustomEvent( 'dynamicContentSetupComplete' ) ),
 			0
 		);
 	}
@@ -220,19 +575,35 @@ export default class ExaiInteractive {
 		this.background             = qs( `${this.selector}__background`, this.element );
 		this.focalPoint             = qs( `${this.selector}__focal-point`, this.background );
 		this.shapeGuide             = qs( `${this.selector}__shape-guide`, this.element );
-		this.shapes                 = qsa( `${this.selector}__shape`, this.shapeGuide );
+		this.shapeGuideSvg          = qs( `${this.selector}__shape-guide-svg`, this.shapeGuide );
+
+		// The composition comes from the shape guide's SVG, unless a layout was passed in to replace it.
+
+		if ( this.config.shapeLayout ) {
+			this.renderShapeLayout( this.config.shapeLayout );
+		}
+
+		this.sizeShapeGuide();
+
+		this.shapes          = qsa( `${this.selector}__shape`, this.shapeGuide ).filter( ( shape ) => this.isSupportedShape( shape ) );
+		this.focalShapeIndex = this.getFocalShapeIndex();
 
 		// We need to get the indices of all shapes that are going to be expandable.
 		// To do this, we first remove the focal point shape.
 		// We then shuffle the rest around and slice out as many as we need by a percentage fo the original length.
 
-		this.expandableShapeIndices = Array.from( this.shapes.keys() )
-			.filter( ( v ) => v !== this.focalPointShapeIndex )
-			.sort( () => 0.5 - Math.random() )
-			.slice( 0, Math.round( this.shapes.length * this.config.shapeToCount ) );
+		this.resetRandom();
 
-		const canvas      = qs( `${this.selector}__canvas`, this.element );
-		this.fabricCanvas = new fabric.Canvas( canvas, { selection: false, enableRetinaScaling: false } );
+		this.expandableShapeIndices = shuffle(
+			Array.from( this.shapes.keys() ).filter( ( v ) => v !== this.focalShapeIndex ),
+			this.random
+		).slice( 0, Math.round( this.shapes.length * this.config.shapeToCount ) );
+
+		this.setupRenderer( qs( `${this.selector}__canvas`, this.element ) );
+
+		// The images keep the size of the source they started with, whatever the browser loads into them later.
+
+		this.backgroundImageWidth = this.setupBackgroundImage.naturalWidth;
 
 		// It helps here to calculate and store off some often-needed numbers.
 		// These are all to be stored as bounding rectangle objects.
@@ -245,21 +616,24 @@ export default class ExaiInteractive {
 
 		this.fabricCanvas.setDimensions( { width: this.dimensions.background.width, height: this.dimensions.background.height } );
 
+		// With a `srcset` or `<picture>`, the browser picks the background image's source for the canvas's size.
+
+		this.updateBackgroundImageSizes();
+		this.listenerRemovers.push( $on( this.setupBackgroundImage, 'load', this.handleBackgroundImageLoad.bind( this ) ) );
+
 		// Define the styles.
 		// These can be referenced and manipulated simultaneously by multiple drawables.
 
 		this.styles = {};
 
+		const theme = this.getTheme();
+
 		this.styles.rainbowGradient = new fabric.Gradient( {
 			gradientUnits   : 'percentage',
 			coords          : { x1 : -0.33, y1 : -0.33, x2 : 0.66, y2 : 1.33 },
 			statefullCache  : true,
 			cacheProperties : [this.cacheBusterKey],
-			colorStops    : [
-				{ offset: 0.666, color: this.colors.hotCoral },
-				{ offset: 0.833, color: this.colors.auroraPurple },
-				{ offset: 1, color: this.colors.seaCrystal },
-			]
+			colorStops      : this.createGradientStops( theme.gradient )
 		} );
 
 		// Then, the drawables.
@@ -275,12 +649,14 @@ export default class ExaiInteractive {
 
 		this.drawables.rainbowImage = new fabric.Image( this.setupBackgroundImage, imageOptions );
 		this.drawables.rainbowImage[this.scaleKey] = 1;
+		this.drawables.rainbowImage[this.angleKey] = 0;
 
 		this.drawables.maskImage = new fabric.Image(
 			this.setupBackgroundImage,
 			mergeObj( imageOptions, { statefullCache: true, cacheProperties: [this.cacheBusterKey] } )
 		);
 		this.drawables.maskImage[this.scaleKey] = 1;
+		this.drawables.maskImage[this.angleKey] = 0;
 
 		// Then, tackle the mask and shapes.
 
@@ -292,29 +668,22 @@ export default class ExaiInteractive {
 		this.drawableShapes = [];
 
 		const allShapeOptions      = { originX: 'center', originY: 'center' };
-		const drawableShapeOptions = { fill: 'transparent', stroke: this.colors.white, strokeWidth: 0 };
+		const drawableShapeOptions = { fill: 'transparent', stroke: theme.stroke, strokeWidth: 0 };
 
 		for ( let i = 0; i < this.shapes.length; i++ ) {
 
-			let maskShape, shape;
-
-			switch ( this.shapes[i].tagName.toLowerCase() ) {
-
-				case 'circle':
-					maskShape = new fabric.Circle( allShapeOptions );
-					shape     = new fabric.Circle( mergeObj( allShapeOptions, drawableShapeOptions ) );
-					break;
-
-				case 'rect':
-					maskShape = new fabric.Rect( allShapeOptions );
-					shape     = new fabric.Rect( mergeObj( allShapeOptions, drawableShapeOptions ) );
-					break;
-			}
+			const maskShape = this.createShape( this.shapes[i], allShapeOptions );
+			const shape     = this.createShape( this.shapes[i], mergeObj( allShapeOptions, drawableShapeOptions ) );
 
-			maskShape[this.scaleKey] = 1;
+			maskShape[this.scaleKey]      = 1;
+			maskShape[this.angleKey]      = 0;
+			maskShape[this.shapeIndexKey] = i;
+			maskShape[this.isMaskKey]     = true;
 
 			shape[this.strokeWidthKey] = 0;
 			shape[this.scaleKey]       = 1;
+			shape[this.angleKey]       = 0;
+			shape[this.shapeIndexKey]  = i;
 
 			this.maskShapes.push( maskShape );
 			this.drawables.mask.add( maskShape );
@@ -333,155 +702,414 @@ export default class ExaiInteractive {
 
 		this.fabricCanvas.sendToBack( this.drawables.mask );
 
+		// The worker renderer reads the scene straight off of these.
+
+		this.renderScene = {
+			canvas       : this.fabricCanvas,
+			rainbow      : this.drawables.rainbow,
+			gradient     : this.styles.rainbowGradient,
+			rainbowImage : this.drawables.rainbowImage,
+			maskImage    : this.drawables.maskImage,
+			maskShapes   : this.maskShapes,
+			shapes       : this.drawableShapes,
+			pixelRatio   : this.getPixelRatio()
+		};
+
 		// Setting up the other elements -------------------- //
 
-		// Next, we have to create all of the references for other animatable entities.
+		this.splitAnimatableContent();
 
-		this.animatableContent = {};
-		const splittableTags = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p'];
+		this.element.dispatchEvent( new CustomEvent( 'animationSetupComplete' ) );
+	}
 
-		for ( const component of this.dynamicComponents ) {
+	/**
+	 * Renders a shape layout into the shape guide, replacing the shapes from the markup.
+	 *
+	 * Layouts are in the guide's own units: `{ width, height, shapes: [{ type, x, y, width, height, radius, role }] }`.
+	 * Just like in SVG, circles and ellipses are positioned by their center, while rects go by their top left corner.
+	 * Rects are pills unless given a smaller radius. Polygons and polylines take `points` as `[x, y]` pairs, lines take `x1`, `y1`, `x2` and `y2`,
+	 * and paths take `d`. Any shape can have an SVG `transform`, e.g. `rotate(30)`.
+	 * The shape with the `focal` role is the one the others expand out of.
+	 */
+	renderShapeLayout( layout ) {
 
-			this.animatableContent[component] = [];
-			const componentElements = qsa( `${this.selector}__dynamic-${component}`, this.element );
+		this.originalShapeGuide = {
+			viewBox : this.shapeGuideSvg.getAttribute( 'viewBox' ),
+			markup  : this.shapeGuideSvg.innerHTML
+		};
 
-			for ( const componentElement of componentElements ) {
+		this.shapeGuideSvg.setAttribute( 'viewBox', `0 0 ${layout.width} ${layout.height}` );
+		this.shapeGuideSvg.innerHTML = '';
+
+		for ( const shapeData of layout.shapes ) {
+
+			const points     = ( shapeData.points || [] ).join( ' ' );
+			const attributes = {
+				circle   : { cx: shapeData.x, cy: shapeData.y, r: shapeData.radius },
+				ellipse  : { cx: shapeData.x, cy: shapeData.y, rx: shapeData.rx, ry: shapeData.ry },
+				rect     : { x: shapeData.x, y: shapeData.y, width: shapeData.width, height: shapeData.height, rx: 'radius' in shapeData ? shapeData.radius : shapeData.height / 2 },
+				polygon  : { points },
+				polyline : { points },
+				line     : { x1: shapeData.x1, y1: shapeData.y1, x2: shapeData.x2, y2: shapeData.y2 },
+				path     : { d: shapeData.d }
+			}[shapeData.type];
+
+			if ( ! attributes ) {
+				console.warn( `Unknown shape layout type "${shapeData.type}".` );
+				continue;
+			}
 
-				const componentAnimatables = [];
+			const shape = document.createElementNS( this.svgNamespace, shapeData.type );
+			shape.classList.add( `${this.blockClassName}__shape` );
 
-				for ( const child of componentElement.children ) {
+			for ( const [name, value] of Object.entries( attributes ) ) {
+				shape.setAttribute( name, value );
+			}
 
-					if ( splittableTags.indexOf( child.tagName.toLowerCase() ) !== -1 ) {
-						const splitText = new SplitText( child, { type: 'words, chars', lineThreshold: 0.5 } );
-						componentAnimatables.push( splitText.chars );
-					}
-					else {
-						componentAnimatables.push( child );
-					}
-				}
+			if ( shapeData.transform ) {
+				shape.setAttribute( 'transform', shapeData.transform );
+			}
 
-				this.animatableContent[component].push( componentAnimatables );
+			if ( shapeData.role === 'focal' ) {
+				shape.setAttribute( this.focalShapeAttr, '' );
 			}
-		}
 
-		// Using this same formula, we add the progress and scroll prompt too
+			this.shapeGuideSvg.appendChild( shape );
+		}
+	}
 
-		this.animatableContent.progress = this.progressStages;
+	/**
+	 * Checks whether a shape guide element is one we know how to draw.
+	 */
+	isSupportedShape( element ) {
 
-		const scrollPromptText     = qs( `${this.selector}__scroll-prompt-text`, this.element );
-		const scrollPromptSplitText = new SplitText( scrollPromptText, { type: 'words, chars', lineThreshold: 0.5 } );
-		const scrollPromptArrow     = qs( `${this.selector}__scroll-prompt-arrow`, this.element );
+		if ( this.shapeTypes.includes( element.tagName.toLowerCase() ) ) {
+			return true;
+		}
 
-		this.animatableContent.scrollPrompt = [scrollPromptSplitText.chars, scrollPromptArrow];
+		console.warn( `Skipping the unsupported <${element.tagName}> shape in the shape guide.` );
 
-		window.dispatchEvent( new CustomEvent( 'animationSetupComplete' ) );
+		return false;
 	}
 
-	/* ------------------------------------------------------ */
-	/* Animations ------------------------------------------- */
-	/* ------------------------------------------------------ */
-
 	/**
-	 * Creates the sacred timeline.
+	 * Creates a fabricJS object from a shape guide element.
 	 *
-	 * Stores all of the animation data for the whole interactive as well as their relative start/stop points.
-	 * This is later scrubbed through on scroll to give us fine-grain control of things.
+	 * The geometry stays in the SVG's own units, centered on its origin.
+	 * Scaling up to the page, and any transforms on the element or its groups, get applied on top when rendering.
+	 * Lines become two point polylines, since fabricJS lines position themselves differently from everything else.
 	 */
-	createTheSacredTimeline() {
+	createShape( element, options ) {
 
-		// Creating the timeline object --------------------- //
+		const number = ( attribute ) => element[attribute].baseVal.value;
+		const points = () => Array.from( element.points, ( point ) => ( { x: point.x, y: point.y } ) );
 
-		const snapScrollProps = {
-			snapTo   : 'labelsDirectional',
-			delay    : this.config.snapDelay,
-			duration : { min: this.config.snapDurationMin, max: this.config.snapDurationMax }
-		};
+		switch ( element.tagName.toLowerCase() ) {
 
-		//return;
+			case 'circle':
+				return new fabric.Circle( mergeObj( options, { radius: number( 'r' ) } ) );
 
-		this.theSacredTimeline = gsap.timeline(	{
-			onUpdate : this.handleUpdate.bind( this ),
-			scrollTrigger : {
-				trigger             : this.element,
-				pin                 : true,
-				end                 : () => `+=${this.dimensions.window.height * this.config.scrollLength}`,
-				scrub               : this.config.scrubFactor,
-				invalidateOnRefresh : true,
-				// TODO: Figure out why snapping breaks on mobile
-				// snap                : this.config.snapScroll ? snapScrollProps : false
-			}
-		} );
+			case 'ellipse':
+				return new fabric.Ellipse( mergeObj( options, { rx: number( 'rx' ), ry: number( 'ry' ) } ) );
 
-		// Setting initial states --------------------------- //
+			case 'rect':
 
-		// Start with the background and images
+				// Like in SVG, a missing radius on one axis takes the other's.
 
-		this.theSacredTimeline.set(
-			this.background,
-			{ scale: this.config.imageScaleFrom }
-		);
+				return new fabric.Rect( mergeObj( options, {
+					width  : number( 'width' ),
+					height : number( 'height' ),
+					rx     : element.hasAttribute( 'rx' ) ? number( 'rx' ) : number( 'ry' ),
+					ry     : element.hasAttribute( 'ry' ) ? number( 'ry' ) : number( 'rx' )
+				} ) );
 
-		this.theSacredTimeline.set(
-			this.drawables.rainbow,
-			{
-				top     : () => this.dimensions.elementFromBackground.top,
-				left    : () => this.dimensions.elementFromBackground.left,
-				width   : () => this.dimensions.elementFromBackground.width,
-				height  : () => this.dimensions.elementFromBackground.height,
-				opacity : 0
-			}
-		);
+			case 'polygon':
+				return new fabric.Polygon( points(), options );
 
-		this.theSacredTimeline.set(
-			this.getImages( [1, 1] ),
-			{ opacity: 0, [this.scaleKey]: () => this.ratios.backgroundToImage }
-		);
+			case 'polyline':
+				return new fabric.Polyline( points(), options );
 
-		// Then, the mask
+			case 'line':
+				return new fabric.Polyline( [{ x: number( 'x1' ), y: number( 'y1' ) }, { x: number( 'x2' ), y: number( 'y2' ) }], options );
 
-		this.theSacredTimeline.set(
-			[this.maskBackground, this.drawables.mask],
-			{
-				width  : () => this.dimensions.background.width,
-				height : () => this.dimensions.background.height,
-			}
-		)
+			case 'path':
+				return new fabric.Path( element.getAttribute( 'd' ), options );
+		}
 
-		// Then, do the mask shapes and regular shapes.
-		// These get a little bit 'o randomization.
+		return null;
+	}
 
-		for ( let i = 0; i < this.shapes.length; i++ ) {
+	/**
+	 * Measures a shape guide element as it ends up on the page.
+	 *
+	 * That's its center, plus the scale, rotation and skew taking it from SVG units to the page.
+	 * Going through the element's screen matrix means transforms on it and any of its groups are all accounted for.
+	 */
+	measureShape( element ) {
 
-			const maskShape = this.maskShapes[i];
-			const shape     = this.drawableShapes[i];
+		const matrix = element.getScreenCTM();
+		const box    = element.getBBox();
+		const center = new DOMPoint( box.x + box.width / 2, box.y + box.height / 2 ).matrixTransform( matrix );
 
-			const allShapeProps = {
-				opacity         : 0,
-				[this.scaleKey] : 0,
-				angle           : () => randInRange( this.config.shapeRotateFromMin, this.config.shapeRotateFromMax, true ),
-			};
+		return mergeObj(
+			{ cx: center.x, cy: center.y },
+			fabric.util.qrDecompose( [matrix.a, matrix.b, matrix.c, matrix.d, 0, 0] )
+		);
+	}
 
-			const maskShapeProps = {
-				top  : () => this.dimensions.focalPointFromBackground.cy - this.dimensions.background.halfHeight,
-				left : () => this.dimensions.focalPointFromBackground.cx - this.dimensions.background.halfWidth
-			};
+	/**
+	 * Sizes the shape guide to the aspect ratio of its SVG, so that swapped in compositions don't get squashed.
+	 */
+	sizeShapeGuide() {
 
-			const drawableShapeProps = {
+		const viewBox = this.shapeGuideSvg.viewBox.baseVal;
+
+		if ( viewBox && viewBox.width ) {
+			this.shapeGuide.style.paddingTop = `${viewBox.height / viewBox.width * 100}%`;
+		}
+	}
+
+	/**
+	 * Gets the index of the focal shape, which is marked with a `data-focal` attribute.
+	 *
+	 * Without one, the biggest shape gets the job, since that's usually what the composition centers on.
+	 */
+	getFocalShapeIndex() {
+
+		const focalShapeIndex = this.shapes.findIndex( ( shape ) => shape.hasAttribute( this.focalShapeAttr ) );
+
+		if ( focalShapeIndex !== -1 ) {
+			return focalShapeIndex;
+		}
+
+		console.warn( `None of the shapes are marked with ${this.focalShapeAttr}, so the biggest one is the focal point.` );
+
+		const areas = this.shapes.map( ( shape ) => {
+			const rect = shape.getBoundingClientRect();
+			return rect.width * rect.height;
+		} );
+
+		return areas.indexOf( Math.max( ...areas ) );
+	}
+
+	/**
+	 * Sets up whatever renders the canvas.
+	 *
+	 * That's fabricJS on the main thread, unless we're rendering in a worker and the browser supports it.
+	 * Then, fabricJS only keeps track of the scene, on a canvas that never makes it onto the page.
+	 */
+	setupRenderer( canvas ) {
+
+		this.drawableStates   = new Map();
+		this.isLowQuality     = this.config.quality === 'low';
+		this.averageFrameTime = null;
+		this.frameCount       = 0;
+
+		// fabricJS reads the pixel ratio from a global, so that's where the page-wide cap goes.
+
+		fabric.devicePixelRatio = ExaiInteractive.getDevicePixelRatio();
+
+		if ( this.config.renderer === 'worker' && ExaiWorkerRenderer.isSupported() ) {
+
+			this.fabricCanvas   = new fabric.StaticCanvas( document.createElement( 'canvas' ), { enableRetinaScaling: false, renderOnAddRemove: false } );
+			this.workerRenderer = new ExaiWorkerRenderer( canvas, this.setupBackgroundImage, this.fallBackToFabricRenderer.bind( this ) );
+			this.workerRenderer.init();
+		}
+		else {
+			this.fabricCanvas = new fabric.Canvas( canvas, { selection: false, enableRetinaScaling: this.isRetinaScaling() } );
+		}
+	}
+
+	/**
+	 * Falls back to rendering with fabricJS on the main thread when the worker renderer fails.
+	 *
+	 * The scene moves over to a regular fabricJS canvas on a fresh copy of the canvas element.
+	 */
+	fallBackToFabricRenderer() {
+
+		// A late error can still turn up after we've already fallen back, or been destroyed.
+
+		if ( ! this.workerRenderer ) {
+			return;
+		}
+
+		const canvas       = this.workerRenderer.destroy();
+		const fabricCanvas = new fabric.Canvas( canvas, { selection: false, enableRetinaScaling: this.isRetinaScaling(), renderOnAddRemove: false } );
+
+		this.workerRenderer = null;
+
+		fabricCanvas.setDimensions( { width: this.fabricCanvas.getWidth(), height: this.fabricCanvas.getHeight() } );
+		fabricCanvas.add( ...this.fabricCanvas.getObjects() );
+
+		this.fabricCanvas = fabricCanvas;
+
+		// It can fail before the scene is even set up, in which case there's nothing to render yet.
+
+		if ( this.renderScene ) {
+			this.renderScene.canvas = fabricCanvas;
+			this.invalidateDrawables();
+		}
+	}
+
+	/**
+	 * Splits up the text content and stores references to everything that animates with it.
+	 *
+	 * This gets redone whenever the layout changes, since the split depends on how the text wraps.
+	 */
+	splitAnimatableContent() {
+
+		// Next, we have to create all of the references for other animatable entities.
+
+		this.animatableContent = {};
+		this.splitTexts        = [];
+		const splittableTags   = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p'];
+
+		for ( const component of this.dynamicComponents ) {
+
+			this.animatableContent[component] = [];
+			const componentElements = qsa( `${this.selector}__dynamic-${component}`, this.element );
+
+			for ( const componentElement of componentElements ) {
+
+				const componentAnimatables = [];
+
+				for ( const child of componentElement.children ) {
+
+					if ( splittableTags.indexOf( child.tagName.toLowerCase() ) !== -1 ) {
+						const splitText = new SplitText( child, { type: 'words, chars', lineThreshold: 0.5 } );
+						this.splitTexts.push( splitText );
+						componentAnimatables.push( splitText.chars );
+					}
+					else {
+						componentAnimatables.push( child );
+					}
+				}
+
+				this.animatableContent[component].push( componentAnimatables );
+			}
+		}
+
+		// Using this same formula, we add the progress and scroll prompt too
+
+		this.animatableContent.progress = this.progressStages;
+
+		const scrollPromptText      = qs( `${this.selector}__scroll-prompt-text`, this.element );
+		const scrollPromptSplitText = new SplitText( scrollPromptText, { type: 'words, chars', lineThreshold: 0.5 } );
+		const scrollPromptArrow     = qs( `${this.selector}__scroll-prompt-arrow`, this.element );
+
+		this.splitTexts.push( scrollPromptSplitText );
+		this.animatableContent.scrollPrompt = [scrollPromptSplitText.chars, scrollPromptArrow];
+	}
+
+	/**
+	 * Puts all of the split text back the way it was.
+	 */
+	revertAnimatableContent() {
+
+		for ( const splitText of this.splitTexts ) {
+			splitText.revert();
+		}
+
+		this.splitTexts = [];
+	}
+
+	/* ------------------------------------------------------ */
+	/* Animations ------------------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Creates the sacred timeline.
+	 *
+	 * Stores all of the animation data for the whole interactive as well as their relative start/stop points.
+	 * This is later scrubbed through on scroll to give us fine-grain control of things.
+	 */
+	createTheSacredTimeline() {
+
+		// Creating the timeline object --------------------- //
+
+		// When static, the timeline never gets scrubbed, so it doesn't need a scroll trigger.
+
+		// Reseeding here (and on every refresh) means the same seed always gives the same scene, however many times it's rebuilt.
+
+		this.resetRandom();
+
+		this.theSacredTimeline = gsap.timeline(	{
+			paused   : this.isStatic,
+			onUpdate : this.handleUpdate.bind( this ),
+			scrollTrigger : this.isStatic ? false : {
+				trigger             : this.element,
+				pin                 : true,
+				end                 : () => `+=${this.dimensions.window.height * this.config.scrollLength}`,
+				scrub               : this.config.scrubFactor,
+				invalidateOnRefresh : true,
+				onRefreshInit       : () => this.resetRandom(),
+				snap                : this.getSnapConfig()
+			}
+		} );
+
+		// Setting initial states --------------------------- //
+
+		// Start with the background and images
+
+		this.theSacredTimeline.set(
+			this.background,
+			{ scale: this.config.imageScaleFrom }
+		);
+
+		this.theSacredTimeline.set(
+			this.drawables.rainbow,
+			{
+				top     : () => this.dimensions.elementFromBackground.top,
+				left    : () => this.dimensions.elementFromBackground.left,
+				width   : () => this.dimensions.elementFromBackground.width,
+				height  : () => this.dimensions.elementFromBackground.height,
+				opacity : 0
+			}
+		);
+
+		this.theSacredTimeline.set(
+			this.getImages( [1, 1] ),
+			{ opacity: 0, [this.scaleKey]: () => this.ratios.backgroundToImage }
+		);
+
+		// Then, the mask
+
+		this.theSacredTimeline.set(
+			[this.maskBackground, this.drawables.mask],
+			{
+				width  : () => this.dimensions.background.width,
+				height : () => this.dimensions.background.height,
+			}
+		)
+
+		// Then, do the mask shapes and regular shapes.
+		// These get a little bit 'o randomization.
+
+		for ( let i = 0; i < this.shapes.length; i++ ) {
+
+			const maskShape = this.maskShapes[i];
+			const shape     = this.drawableShapes[i];
+
+			const allShapeProps = {
+				opacity         : 0,
+				[this.scaleKey] : 0,
+				[this.angleKey] : () => this.randInRange( this.config.shapeRotateFromMin, this.config.shapeRotateFromMax, true ),
+			};
+
+			const maskShapeProps = {
+				top  : () => this.dimensions.focalPointFromBackground.cy - this.dimensions.background.halfHeight,
+				left : () => this.dimensions.focalPointFromBackground.cx - this.dimensions.background.halfWidth
+			};
+
+			const drawableShapeProps = {
 				top  : () => this.dimensions.focalPointFromBackground.cy,
 				left : () => this.dimensions.focalPointFromBackground.cx,
 			};
 
-			if ( shape instanceof fabric.Circle ) {
-				allShapeProps.radius = i === this.focalPointShapeIndex
-					? () => this.dimensions.focalPointFromBackground.halfWidth
-					: () => this.dimensions[`shape${i}FromBackground`].halfWidth
+			// Shapes keep their own geometry, except for a focal circle, which takes the size of the focal point.
 
-			}
-			else if ( shape instanceof fabric.Rect ) {
-				allShapeProps.width  = () => this.dimensions[`shape${i}FromBackground`].width;
-				allShapeProps.height = () => this.dimensions[`shape${i}FromBackground`].height;
-				allShapeProps.rx     = () => this.dimensions[`shape${i}FromBackground`].halfHeight;
-				allShapeProps.ry     = () => this.dimensions[`shape${i}FromBackground`].halfHeight;
+			if ( i === this.focalShapeIndex && shape instanceof fabric.Circle ) {
+				allShapeProps.radius = () => this.dimensions.focalPointFromBackground.halfWidth / this.dimensions[`shape${i}Transform`].scaleX;
 			}
 
 			this.theSacredTimeline.set( maskShape, mergeObj( allShapeProps, maskShapeProps ) );
@@ -519,287 +1147,1150 @@ export default class ExaiInteractive {
 
 			this.currentTimelineBuild.addLabel( `stage${i}In` );
 
-			this.currentTimelineBuild.addLabel( `stage${i}ContentIn`, `stage${i}In+=${this.config.stageInDuration}` );
-			this.addStageContentTween( `stage${i}ContentIn`, false, progressIn, scrollPromptIn );
-			this.currentTimelineBuild.addLabel( `stage${i}Snap`, `>+=${this.config.stageOutDelay / 2}` );
+			this.currentTimelineBuild.addLabel( `stage${i}ContentIn`, `stage${i}In+=${this.config.stageInDuration}` );
+			this.addStageContentTween( `stage${i}ContentIn`, false, progressIn, scrollPromptIn );
+			this.currentTimelineBuild.addLabel( `stage${i}Snap`, `>+=${this.config.stageOutDelay / 2}` );
+
+			if ( i < this.stageCount - 1 ) {
+				this.currentTimelineBuild.addLabel( `stage${i}ContentOut`, `>+=${this.config.stageOutDelay}` );
+				this.addStageContentTween( `stage${i}ContentOut`, true, progressOut, scrollPromptOut );
+			}
+
+			this.currentTimelineBuild.addLabel( `stage${i}Out` );
+			this.currentTimelineBuild.to( this.tweenNullTarget, { value: 1, duration: this.config.stageOutDelay } );
+
+			if ( progressBar ) {
+				const progressBarStartLabel = i === 1 ? `stage${i}ContentIn` : `stage${i}In`;
+				this.addInBetweenTween( this.progressStageBars[i - 1], { scaleX: 1 }, progressBarStartLabel, 'end' )
+			}
+
+			this.theSacredTimeline.add( this.currentTimelineBuild );
+		}
+
+		this.currentStageBuild = null;
+		this.currentTimelineBuild = this.theSacredTimeline;
+
+		this.addStageRoleLabels();
+
+		// Animating the background and shapes -------------- //
+
+		this.compileChoreography( this.config.choreography );
+
+		// Hoisting up the snap labels ---------------------- //
+
+		this.stageSnapTimes = [];
+
+		for ( let i = 0; i < this.stageCount; i++ ) {
+			this.stageSnapTimes.push( getLabelTime( this.theSacredTimeline, `stage${i}Snap` ) );
+			this.theSacredTimeline.addLabel( `stage${i}Snap`, this.stageSnapTimes[i] );
+		}
+
+		this.currentStage = null;
+		this.updateCurrentStage();
+
+		if ( this.isStatic ) {
+			this.renderStaticComposition();
+		}
+
+		// Only the first build follows a deep link. Rebuilds put the user back where they were instead.
+
+		if ( this.config.deepLinking && ! this.appliedStageHash ) {
+
+			const stage = this.readStageFromHash();
+
+			this.appliedStageHash = true;
+
+			if ( stage !== null ) {
+				this.goToStage( stage, { animate: false, updateHistory: false } );
+			}
+		}
+
+		this.resolveReady( this );
+	}
+
+	/**
+	 * Renders the final composition once for when we're not animating.
+	 *
+	 * That's the shapes snapped into place, with the masked image still showing through them.
+	 */
+	renderStaticComposition() {
+
+		this.theSacredTimeline.invalidate().seek( 'snapSnap' );
+		this.drawables.maskImage.set( 'opacity', 1 );
+		this.handleUpdate();
+	}
+
+	/**
+	 * Rebuilds the sacred timeline from scratch.
+	 *
+	 * Everything measured or randomized up front gets redone, since the layout has likely changed underneath it.
+	 * Optionally puts the user back where they were, so the scene doesn't jump.
+	 */
+	rebuild( restoreProgress = true ) {
+
+		if ( ! this.theSacredTimeline ) {
+			return;
+		}
+
+		const progress = this.getProgress();
+
+		this.killTheSacredTimeline();
+		this.revertAnimatableContent();
+		this.splitAnimatableContent();
+
+		this.calculateDimensionsAndRatios();
+		this.fabricCanvas.setDimensions( { width: this.dimensions.background.width, height: this.dimensions.background.height } );
+		this.applyPixelRatio();
+		this.updateBackgroundImageSizes();
+
+		this.createTheSacredTimeline();
+
+		if ( this.isStatic ) {
+			return;
+		}
+
+		ScrollTrigger.refresh();
+
+		if ( restoreProgress && progress > 0 && progress < 1 ) {
+
+			const scrollTrigger = this.theSacredTimeline.scrollTrigger;
+
+			this.scrollToPosition( scrollTrigger.start + ( scrollTrigger.end - scrollTrigger.start ) * progress, false );
+			this.theSacredTimeline.progress( progress );
+		}
+	}
+
+	/**
+	 * Kills the sacred timeline, unpinning the section along with it.
+	 */
+	killTheSacredTimeline() {
+
+		if ( this.theSacredTimeline.scrollTrigger ) {
+			this.theSacredTimeline.scrollTrigger.kill( true );
+		}
+
+		this.theSacredTimeline.kill();
+		this.theSacredTimeline = null;
+	}
+
+	/**
+	 * Adds the stage role labels to the sacred timeline.
+	 *
+	 * Each role label lands on its stage's equivalent label, e.g. `scatterSnap` on `stage2Snap` when there are 5 stages.
+	 * When stages double up and a soft label would land out of order, it gets spread evenly into the gap before the next one that fits.
+	 */
+	addStageRoleLabels() {
+
+		const labelTimes = this.stageRoleLabels.map( ( [role, label] ) => getLabelTime( this.theSacredTimeline, `stage${this.stageRoles[role]}${label}` ) );
+
+		let previousTime  = 0;
+		let pendingLabels = [];
+
+		for ( const [i, [role, label]] of this.stageRoleLabels.entries() ) {
+
+			const isSoft = this.softStageRoles.includes( role );
+			const nextHardIndex = this.stageRoleLabels.findIndex( ( [nextRole], n ) => n > i && ! this.softStageRoles.includes( nextRole ) );
+
+			if ( isSoft && ( labelTimes[i] <= previousTime || labelTimes[i] >= labelTimes[nextHardIndex] ) ) {
+				pendingLabels.push( `${role}${label}` );
+				continue;
+			}
+
+			for ( const [n, pendingLabel] of pendingLabels.entries() ) {
+				this.theSacredTimeline.addLabel( pendingLabel, previousTime + ( labelTimes[i] - previousTime ) * ( n + 1 ) / ( pendingLabels.length + 1 ) );
+			}
+
+			pendingLabels = [];
+			previousTime  = labelTimes[i];
+
+			this.theSacredTimeline.addLabel( `${role}${label}`, labelTimes[i] );
+		}
+	}
+
+	/**
+	 * Compiles a choreography into tweens on the sacred timeline.
+	 *
+	 * See `choreography.js` for the format.
+	 * Each of a step's target items gets its own tween so that it can be staggered.
+	 */
+	compileChoreography( choreography ) {
+
+		for ( const step of choreography ) {
+
+			if ( step.perStage ) {
+				this.compileChoreographyStages( step );
+				continue;
+			}
+
+			const targetGroups = this.getChoreographyTargets( step.target );
+			const stagger      = this.resolveChoreographyValue( step.stagger || 0 );
+
+			for ( const [i, targetGroup] of targetGroups.entries() ) {
+
+				const value = Array.isArray( step.value ) ? this.sampleChoreographyValues( step.value, i, targetGroups.length ) : step.value;
+				const props = this.getChoreographyProps( targetGroup, step.property, value );
+
+				if ( step.at ) {
+					this.theSacredTimeline.set( targetGroup, props, getLabelTime( this.theSacredTimeline, step.at ) );
+				}
+				else {
+					this.addInBetweenTween( targetGroup, props, step.from, step.to, stagger * i );
+				}
+			}
+		}
+	}
+
+	/**
+	 * Compiles a per-stage choreography step into a keyframe for each stage.
+	 *
+	 * Each keyframe runs from the end of the previous stage to the end of its own.
+	 */
+	compileChoreographyStages( step ) {
+
+		for ( let i = 0; i < this.stageCount; i++ ) {
+
+			const isResting  = i === this.stageRoles.intro || i === this.stageRoles.outro;
+			const keyframe   = isResting ? 'rest' : ( this.stageRoles.snap - i ) % 2 === 0 ? 'compress' : 'stretch';
+			const startLabel = i === 0 ? 'stage0In' : `stage${i - 1}Out`;
+			const endLabel   = i === this.stageRoles.outro ? 'end' : `stage${i}Out`;
+
+			this.compileChoreography( [{
+				target   : step.target,
+				property : step.property,
+				value    : step.perStage[keyframe],
+				from     : startLabel,
+				to       : endLabel
+			}] );
+		}
+	}
+
+	/**
+	 * Gets the targets of a choreography step as groups of items that animate together.
+	 */
+	getChoreographyTargets( key ) {
+
+		const shapeGroups = ( indices ) => indices.map( ( index ) => this.getShapes( [1, 1], index ) );
+
+		const targets = {
+			background       : () => [[this.background]],
+			rainbow          : () => [[this.drawables.rainbow]],
+			rainbowImage     : () => [this.getImages( [1, 0] )],
+			maskImage        : () => [this.getImages( [0, 1] )],
+			images           : () => [this.getImages( [1, 1] )],
+			gradientStops    : () => this.styles.rainbowGradient.colorStops.map( ( colorStop ) => [colorStop] ),
+			focalShape       : () => [this.getShapes( [1, 1], this.focalShapeIndex )],
+			shapes           : () => shapeGroups( Array.from( this.shapes.keys() ) ),
+			drawableShapes   : () => this.drawableShapes.map( ( shape ) => [shape] ),
+			maskShapes       : () => this.maskShapes.map( ( shape ) => [shape] ),
+			expandableShapes : () => shapeGroups( this.expandableShapeIndices )
+		};
+
+		if ( ! targets[key] ) {
+			console.warn( `Unknown choreography target "${key}".` );
+			return [];
+		}
+
+		return targets[key]();
+	}
+
+	/**
+	 * Picks a target item's value out of a choreography step's value array.
+	 *
+	 * When there isn't one value per item, e.g. a theme with more gradient stops than the choreography was written for,
+	 * the array gets stretched to fit, interpolating between numbers.
+	 */
+	sampleChoreographyValues( values, index, count ) {
+
+		if ( values.length === count ) {
+			return values[index];
+		}
+
+		const position = count > 1 ? index / ( count - 1 ) * ( values.length - 1 ) : 0;
+		const lower    = values[Math.floor( position )];
+		const upper    = values[Math.ceil( position )];
+
+		if ( typeof lower !== 'number' || typeof upper !== 'number' ) {
+			return values[Math.round( position )];
+		}
+
+		return lower + ( upper - lower ) * ( position - Math.floor( position ) );
+	}
+
+	/**
+	 * Gets the tween props for a choreography step's property and value.
+	 */
+	getChoreographyProps( targetGroup, property, value ) {
+
+		if ( property === 'position' ) {
+			return this.getShapePositionProps( value );
+		}
+
+		const isDrawable = targetGroup[0] instanceof fabric.Object;
+		const key        = isDrawable && this.choreographyPropertyAliases[property] ? this.choreographyPropertyAliases[property] : property;
+
+		return { [key]: this.resolveChoreographyValue( value ) };
+	}
+
+	/**
+	 * Resolves a choreography value into something GSAP understands.
+	 *
+	 * Anything depending on dimensions or randomness becomes a function, so it gets recalculated when the timeline is invalidated.
+	 */
+	resolveChoreographyValue( value ) {
+
+		if ( value === null || typeof value !== 'object' ) {
+			return value;
+		}
+
+		if ( value.random ) {
+			const [minKey, maxKey] = value.random;
+			return () => this.randInRange( this.config[minKey], this.config[maxKey], !! value.randomizeSign );
+		}
+
+		if ( value.ratio ) {
+			return () => this.ratios[value.ratio] * ( value.config ? this.config[value.config] : 1 );
+		}
+
+		return this.config[value.config];
+	}
+
+	/**
+	 * Gets the position tween props for moving shapes to a named place.
+	 *
+	 * - scatter: Somewhere random relative to where the shape currently is.
+	 * - guide:   The shape's own spot in the shape guide.
+	 * - focal:   Back to the focal point, give or take.
+	 */
+	getShapePositionProps( place ) {
+
+		const shapeGuide = () => this.dimensions.shapeGuide;
+		const focalPoint = () => this.dimensions.focalPointFromBackground;
+		const guideShape = ( target ) => this.dimensions[`shape${target[this.shapeIndexKey]}FromBackground`];
+
+		switch ( place ) {
+
+			case 'scatter':
+				return {
+					top  : () => `+=${this.randInRange( shapeGuide().height * this.config.shapeToYMin, shapeGuide().height * this.config.shapeToYMax, true )}`,
+					left : () => `+=${this.randInRange( shapeGuide().width * this.config.shapeToXMin, shapeGuide().width * this.config.shapeToXMax, true )}`
+				};
+
+			case 'guide':
+				return {
+					top  : ( i, target ) => guideShape( target ).cy - this.getMaskOffset( target, 'halfHeight' ),
+					left : ( i, target ) => guideShape( target ).cx - this.getMaskOffset( target, 'halfWidth' )
+				};
+
+			case 'focal':
+				return {
+					top  : ( i, target ) => focalPoint().cy - this.getMaskOffset( target, 'halfHeight' ) + this.randInRange( shapeGuide().height * this.config.shapeToYMin ),
+					left : ( i, target ) => focalPoint().cx - this.getMaskOffset( target, 'halfWidth' ) + this.randInRange( shapeGuide().width * this.config.shapeToXMin )
+				};
+		}
+
+		console.warn( `Unknown choreography position "${place}".` );
+		return {};
+	}
+
+	/**
+	 * Gets text content tweens for the currently building stage and adds them to the currently building timeline.
+	 */
+	addStageContentTween( startLabel, isOut = false, includeProgress = false, includeScrollPrompt = false ) {
+
+		const props = {
+			opacity   : isOut ? 0 : 1,
+			rotationX : isOut ? 60 : 0,
+			duration  : this.config.lettersDuration,
+			stagger   : { each: 0 }
+		};
+
+		let order = [
+			'header',
+			'body',
+			includeProgress ? 'progress' : null,
+			includeScrollPrompt ? 'scrollPrompt' : null
+		];
+		order = isOut ? order.reverse() : order;
+		order = order.filter( ( component ) => component );
+
+		for ( const [i, componentName] of order.entries() ) {
+
+			let animatableContent = this.dynamicComponents.includes( componentName ) ? this.animatableContent[componentName][this.currentStageBuild] : [this.animatableContent[componentName]];
+			animatableContent = isOut ? animatableContent.slice().reverse() : animatableContent;
+
+			props.stagger.each = this.config[`${componentName}LettersStagger`] || this.config.lettersStagger;
+			const componentDelay = this.config.textComponentStagger * i;
+
+			for ( let [n, animatableChild] of animatableContent.entries() ) {
+
+				if ( Array.isArray( animatableChild ) && isOut ) {
+					animatableChild = animatableChild.slice().reverse();
+				}
+
+				this.currentTimelineBuild.to(
+					animatableChild,
+					props,
+					`${startLabel}+=${componentDelay + (this.config.textComponentChildStagger * n)}`
+				);
+			}
+		}
+	}
+
+	/**
+	 * Adds an in-between tween (lol) to the currently building timeline.
+	 */
+	addInBetweenTween( target, props, startLabel, endLabel, offset = 0 ) {
+
+		props.duration = getLabelTime( this.currentTimelineBuild, endLabel )
+			- getLabelTime( this.currentTimelineBuild, startLabel )
+			- offset;
+
+		this.currentTimelineBuild.to(
+			target,
+			props,
+			getLabelTime( this.currentTimelineBuild, startLabel ) + offset
+		);
+	}
+
+	/* ------------------------------------------------------ */
+	/* Rendering -------------------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Requests a render on the next animation frame.
+	 *
+	 * The timeline can update several times a frame, e.g. while seeking or refreshing, but we only need to draw once.
+	 */
+	requestRender() {
+
+		if ( ! this.renderRequest ) {
+			this.renderRequest = window.requestAnimationFrame( this.renderFrame.bind( this ) );
+		}
+	}
+
+	/**
+	 * Renders a frame, if anything actually changed since the last one.
+	 *
+	 * Long stretches of the timeline only animate text, so there's often nothing to draw.
+	 */
+	renderFrame() {
+
+		this.renderRequest = null;
+
+		if ( this.updateDrawables() ) {
+			this.renderCanvas();
+		}
+	}
+
+	/**
+	 * Applies the animated values of the drawables that changed, and reports whether any did.
+	 *
+	 * Images get scaled, rotated and centered, and shapes get transformed and stroked.
+	 * Images are scaled in terms of the source they started with, in case a sharper one has been swapped in since.
+	 * In low quality, strokes are capped to a thinner width.
+	 */
+	updateDrawables() {
+
+		let isDirty          = false;
+		let isMaskImageDirty = false;
+
+		// Checking a drawable records its state, so the mask image's result gets kept for busting its cache below.
+
+		for ( const image of this.getImages( [1, 1] ) ) {
+
+			if ( this.isDirty( image, this.animatedKeys.images ) ) {
+				image.scale( image[this.scaleKey] * this.backgroundImageWidth / image.width );
+				image.set( 'angle', image[this.angleKey] );
+				image.center();
+				isDirty          = true;
+				isMaskImageDirty = isMaskImageDirty || image === this.drawables.maskImage;
+			}
+		}
+
+		const strokeWidthMax = this.isLowQuality ? this.config.lowQualityStrokeWidth : Infinity;
+
+		let isMaskDirty = this.isDirty( this.drawables.mask, this.animatedKeys.mask );
+
+		for ( let i = 0; i < this.shapes.length; i++ ) {
+
+			const shape     = this.drawableShapes[i];
+			const maskShape = this.maskShapes[i];
+
+			if ( this.isDirty( shape, this.animatedKeys.shapes ) ) {
+
+				// Strokes scale along with the shape, so they're scaled down by the guide's scale to come out at the width we asked for.
+
+				const transform  = this.dimensions[`shape${i}Transform`];
+				const guideScale = ( Math.abs( transform.scaleX ) + Math.abs( transform.scaleY ) ) / 2;
+
+				this.transformShape( shape );
+				shape.set( 'strokeWidth', Math.min( shape[this.strokeWidthKey], strokeWidthMax ) / ( guideScale || 1 ) );
+				isDirty = true;
+			}
+
+			if ( this.isDirty( maskShape, this.animatedKeys.shapes ) ) {
+				this.transformShape( maskShape );
+				isMaskDirty = true;
+			}
+		}
+
+		let isRainbowDirty = this.isDirty( this.drawables.rainbow, this.animatedKeys.rainbow );
+
+		for ( const colorStop of this.styles.rainbowGradient.colorStops ) {
+			isRainbowDirty = this.isDirty( colorStop, this.animatedKeys.gradientStops ) || isRainbowDirty;
+		}
+
+		// fabricJS caches these two, so they need busting when they or what's clipping them changed.
+
+		if ( isRainbowDirty ) {
+			this.bustCache( this.drawables.rainbow );
+		}
+
+		if ( isMaskDirty || isMaskImageDirty ) {
+			this.bustCache( this.drawables.maskImage );
+		}
+
+		return isDirty || isMaskDirty || isRainbowDirty;
+	}
+
+	/**
+	 * Transforms a shape from the guide's units onto the canvas, on top of its animated scale and angle.
+	 */
+	transformShape( shape ) {
+
+		const transform = this.dimensions[`shape${shape[this.shapeIndexKey]}Transform`];
+
+		shape.set( {
+			scaleX : transform.scaleX * shape[this.scaleKey],
+			scaleY : transform.scaleY * shape[this.scaleKey],
+			skewX  : transform.skewX,
+			angle  : transform.angle + shape[this.angleKey]
+		} );
+	}
+
+	/**
+	 * Checks whether any of a drawable's animated properties changed since we last checked.
+	 */
+	isDirty( drawable, keys ) {
+
+		const state         = keys.map( ( key ) => drawable[key] );
+		const previousState = this.drawableStates.get( drawable );
+
+		this.drawableStates.set( drawable, state );
+
+		return ! previousState || state.some( ( value, i ) => value !== previousState[i] );
+	}
+
+	/**
+	 * Forgets what's been drawn, so that everything renders again on the next frame.
+	 */
+	invalidateDrawables() {
+		this.drawableStates.clear();
+		this.requestRender();
+	}
+
+	/**
+	 * Renders the canvas, either in the worker or with fabricJS.
+	 *
+	 * Rendering with fabricJS gets timed, to keep an eye on the frame budget.
+	 */
+	renderCanvas() {
+
+		if ( this.workerRenderer ) {
+			this.workerRenderer.render( this.renderScene );
+			return;
+		}
+
+		const renderStart = performance.now();
+
+		this.fabricCanvas.renderAll();
+
+		this.trackFrameTime( performance.now() - renderStart );
+	}
+
+	/**
+	 * Keeps a running average of how long rendering takes.
+	 *
+	 * With adaptive quality, going over the frame budget drops us to low quality for good.
+	 * Flipping back and forth would only cost us more frames.
+	 */
+	trackFrameTime( frameTime ) {
+
+		if ( this.config.quality !== 'adaptive' || this.isLowQuality ) {
+			return;
+		}
+
+		this.frameCount      += 1;
+		this.averageFrameTime = this.averageFrameTime === null ? frameTime : this.averageFrameTime * 0.9 + frameTime * 0.1;
+
+		if ( this.frameCount >= this.frameTimeSamples && this.averageFrameTime > this.config.frameBudget ) {
+			this.setLowQuality( true );
+		}
+	}
+
+	/**
+	 * Switches low quality on or off.
+	 *
+	 * Low quality skips retina scaling if it was opted into, which can mean rendering a quarter of the pixels, and uses thinner strokes.
+	 */
+	setLowQuality( isLowQuality ) {
+
+		this.isLowQuality = isLowQuality;
+		this.applyPixelRatio();
+	}
+
+	/**
+	 * Applies the pixel ratio to the canvas, after it or the quality changed.
+	 *
+	 * fabricJS needs its dimensions set again to rescale, while the worker gets the ratio along with each frame.
+	 */
+	applyPixelRatio() {
+
+		fabric.devicePixelRatio = ExaiInteractive.getDevicePixelRatio();
+
+		if ( ! this.workerRenderer ) {
+			this.fabricCanvas.enableRetinaScaling = this.isRetinaScaling();
+			this.fabricCanvas.setDimensions( { width: this.fabricCanvas.getWidth(), height: this.fabricCanvas.getHeight() } );
+		}
+
+		if ( this.renderScene ) {
+			this.renderScene.pixelRatio = this.getPixelRatio();
+		}
+
+		this.invalidateDrawables();
+	}
+
+	/**
+	 * Checks whether the canvas renders at the device's pixel ratio, rather than one canvas pixel per CSS pixel.
+	 */
+	isRetinaScaling() {
+		return this.config.retina && ! this.isLowQuality;
+	}
+
+	/**
+	 * Gets the pixel ratio the canvas renders at.
+	 */
+	getPixelRatio() {
+		return this.isRetinaScaling() ? ExaiInteractive.getDevicePixelRatio() : 1;
+	}
+
+	/**
+	 * Sizes the background image for the canvas, so that the browser picks a source from its `srcset` or `<picture>` to match.
+	 *
+	 * The browser multiplies `sizes` by the device's pixel ratio itself, so ours gets divided back out to apply the cap.
+	 * Sizes only ever grow, so that a smaller window never swaps out a sharper image we already have.
+	 */
+	updateBackgroundImageSizes() {
+
+		const picture  = this.setupBackgroundImage.closest( 'picture' );
+		const elements = [...( picture ? qsa( 'source', picture ) : [] ), this.setupBackgroundImage].filter( ( element ) => element.srcset );
+		const sizes    = Math.ceil( this.dimensions.background.width * this.getPixelRatio() / ( window.devicePixelRatio || 1 ) );
+
+		if ( ! elements.length || sizes <= ( this.backgroundImageSizes || 0 ) ) {
+			return;
+		}
+
+		if ( ! this.originalBackgroundImageSizes ) {
+			this.originalBackgroundImageSizes = new Map( elements.map( ( element ) => [element, element.getAttribute( 'sizes' )] ) );
+		}
+
+		this.backgroundImageSizes = sizes;
+
+		for ( const element of elements ) {
+			element.sizes = `${sizes}px`;
+		}
+	}
+
+	/* ------------------------------------------------------ */
+	/* Theming ---------------------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Switches the theme, re-rendering the canvas straight away.
+	 *
+	 * Takes the same format as the `theme` config option, and replaces it.
+	 * Without one, the custom properties get read again, e.g. after swapping in a class for a dark campaign variant.
+	 */
+	setTheme( theme = null ) {
+
+		if ( theme ) {
+			this.config.theme = theme;
+		}
+
+		if ( ! this.theSacredTimeline ) {
+			return;
+		}
+
+		const { stroke, gradient } = this.getTheme();
+		const colorStops           = this.createGradientStops( gradient );
+
+		for ( const shape of this.drawableShapes ) {
+			shape.set( 'stroke', stroke );
+		}
+
+		// The choreography tweens the stops themselves, so a different number of them needs a new timeline.
+
+		if ( colorStops.length !== this.styles.rainbowGradient.colorStops.length ) {
+			this.styles.rainbowGradient.colorStops = colorStops;
+			this.rebuild();
+			return;
+		}
+
+		for ( const [i, colorStop] of this.styles.rainbowGradient.colorStops.entries() ) {
+			colorStop.color = colorStops[i].color;
+		}
+
+		this.invalidateDrawables();
+	}
+
+	/**
+	 * Gets the current theme.
+	 *
+	 * The config wins over the custom properties on the element, which win over our own palette.
+	 * Gradient stops come from `--exai-interactive-gradient-stop-1` onwards, for as many as are set.
+	 */
+	getTheme() {
+
+		const theme        = this.config.theme || {};
+		const styles       = getComputedStyle( this.element );
+		const readProperty = ( name ) => styles.getPropertyValue( name ).trim();
+		const cssGradient  = [];
+
+		let cssGradientStop = readProperty( `${this.themeProperties.gradientStop}1` );
+
+		while ( cssGradientStop ) {
+			cssGradient.push( cssGradientStop );
+			cssGradientStop = readProperty( `${this.themeProperties.gradientStop}${cssGradient.length + 1}` );
+		}
+
+		return {
+			stroke   : theme.stroke || readProperty( this.themeProperties.stroke ) || this.defaultTheme.stroke,
+			gradient : [theme.gradient, cssGradient, this.defaultTheme.gradient].find( ( gradient ) => gradient && gradient.length )
+		};
+	}
+
+	/**
+	 * Turns a theme's gradient into color stops.
+	 *
+	 * Stops can be plain colors or `{ offset, color }`. Plain colors get spread evenly from `gradientStartOffset` to the end.
+	 * Either way, the offsets are only where the stops start, since the choreography animates them from there.
+	 */
+	createGradientStops( gradient ) {
+
+		return gradient.map( ( stop, i ) => {
+
+			const offset = gradient.length > 1 ? this.gradientStartOffset + ( 1 - this.gradientStartOffset ) * i / ( gradient.length - 1 ) : 1;
+
+			return typeof stop === 'string' ? { offset, color: stop } : mergeObj( { offset }, stop );
+		} );
+	}
+
+	/* ------------------------------------------------------ */
+	/* Event Handling --------------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Handles updating of the sacred timeline.
+	 *
+	 * Requests a render, then keeps the current stage, the hash and anyone listening for progress up to date.
+	 */
+	handleUpdate() {
+
+		this.requestRender();
+
+		this.updateCurrentStage();
+		this.updateStageHash();
+
+		window.dispatchEvent( new CustomEvent( this.progressEvent, {
+			detail : { id: this.id, element: this.element, progress: this.getProgress(), stage: this.currentStage }
+		} ) );
+	}
+
+	/**
+	 * Handles keyboard navigation of the progress nav.
+	 *
+	 * Arrow keys move between stages, while home and end go to the first and last ones.
+	 */
+	handleProgressKeydown( event ) {
+
+		const index = this.progressStages.indexOf( document.activeElement );
+
+		if ( index === -1 ) {
+			return;
+		}
+
+		const keyTargets = {
+			ArrowRight : index + 1,
+			ArrowDown  : index + 1,
+			ArrowLeft  : index - 1,
+			ArrowUp    : index - 1,
+			Home       : 0,
+			End        : this.progressStages.length - 1
+		};
+
+		if ( ! ( event.key in keyTargets ) ) {
+			return;
+		}
+
+		event.preventDefault();
+
+		const targetIndex = Math.min( Math.max( keyTargets[event.key], 0 ), this.progressStages.length - 1 );
+
+		this.progressStages[targetIndex].focus();
+		this.goToStage( targetIndex + 1 );
+	}
+
+	/**
+	 * Handles the user going back or forward through stages, or following a stage's link.
+	 *
+	 * Hashes we wrote ourselves, or that have nothing to do with us, get ignored.
+	 */
+	handleHistoryChange() {
+
+		const stageHashValue = getHashPart( this.getStageHashPrefix() );
 
-			if ( i < this.stageCount - 1 ) {
-				this.currentTimelineBuild.addLabel( `stage${i}ContentOut`, `>+=${this.config.stageOutDelay}` );
-				this.addStageContentTween( `stage${i}ContentOut`, true, progressOut, scrollPromptOut );
-			}
+		if ( stageHashValue === this.stageHashValue ) {
+			return;
+		}
 
-			this.currentTimelineBuild.addLabel( `stage${i}Out` );
-			this.currentTimelineBuild.to( this.tweenNullTarget, { value: 1, duration: this.config.stageOutDelay } );
+		this.stageHashValue = stageHashValue;
 
-			if ( progressBar ) {
-				const progressBarStartLabel = i === 1 ? `stage${i}ContentIn` : `stage${i}In`;
-				this.addInBetweenTween( this.progressStageBars[i - 1], { scaleX: 1 }, progressBarStartLabel, 'end' )
-			}
+		const stage = this.readStageFromHash();
 
-			this.theSacredTimeline.add( this.currentTimelineBuild );
+		if ( stage === null ) {
+			return;
 		}
 
-		this.currentStageBuild = null;
-		this.currentTimelineBuild = this.theSacredTimeline;
+		// Still waiting to set up lazily, the first build follows the link on its own.
 
-		// Animating the background ------------------------- //
+		if ( this.setupObserver ) {
+			this.setupNow();
+			return;
+		}
 
-		this.addInBetweenTween( this.background, { scale: 1 }, 'stage0In', 'stage0Snap' );
-		this.addInBetweenTween( this.drawables.rainbow, { opacity: 1 }, 'stage0In', 'stage0Snap' );
-		this.addInBetweenTween( this.background, { scale: this.config.imageScaleTo }, 'stage3ContentOut', 'end' );
+		this.goToStage( stage, { updateHistory: false } );
+	}
 
-		// Animating the gradient stops --------------------- //
+	/**
+	 * Handles the section coming near the viewport, or being scrolled past already.
+	 *
+	 * A section above the viewport gets set up too, since pinning it later would shift everything the user is looking at.
+	 */
+	handleIntersection( entries ) {
 
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[0], { offset: 0 }, 'stage0In', 'stage0Out' );
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[0], { offset: 0 }, 'stage0Out', 'stage1Out' );
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[0], { offset: 0.125 }, 'stage1Out', 'stage2Out' );
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[0], { offset: 0 }, 'stage2Out', 'stage3Out' );
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[0], { offset: 0 }, 'stage3Out', 'end' );
+		const entry = entries[entries.length - 1];
 
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[1], { offset: 0.5 }, 'stage0In', 'stage0Out' );
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[1], { offset: 0.375 }, 'stage0Out', 'stage1Out' );
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[1], { offset: 0.625 }, 'stage1Out', 'stage2Out' );
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[1], { offset: 0.375 }, 'stage2Out', 'stage3Out' );
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[1], { offset: 0.5 }, 'stage3Out', 'end' );
+		if ( entry.isIntersecting || entry.boundingClientRect.bottom < 0 ) {
+			this.setupNow();
+		}
+	}
 
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[2], { offset: 1 }, 'stage0In', 'stage0Out' );
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[2], { offset: 0.875 }, 'stage0Out', 'stage1Out' );
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[2], { offset: 1 }, 'stage1Out', 'stage2Out' );
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[2], { offset: 0.875 }, 'stage2Out', 'stage3Out' );
-		this.addInBetweenTween( this.styles.rainbowGradient.colorStops[2], { offset: 1 }, 'stage3Out', 'end' );
+	/**
+	 * Handles resize events.
+	 */
+	handleResize() {
 
-		// Animating the images ----------------------------- //
+		// Mobile browsers resize the viewport height as their toolbars come and go while scrolling.
+		// We don't want to rebuild everything for that, so only width changes or big height changes count.
 
-		this.addInBetweenTween( this.drawables.rainbowImage, { opacity: this.config.rainbowImageOpacityMin }, 'stage0In', 'stage0ContentIn' );
-		this.addInBetweenTween( this.drawables.rainbowImage, { opacity: this.config.rainbowImageOpacityMax }, 'stage0ContentIn', 'stage1ContentOut' );
-		this.addInBetweenTween( this.drawables.rainbowImage, { opacity: this.config.rainbowImageOpacityMin }, 'stage1ContentOut', 'stage2Out' );
-		this.addInBetweenTween( this.drawables.rainbowImage, { opacity: this.config.rainbowImageOpacityMax }, 'stage2Out', 'stage3Snap' );
-		this.addInBetweenTween( this.drawables.rainbowImage, { opacity: this.config.rainbowImageOpacityTo }, 'stage3Snap', 'end' );
+		const previousWindow = this.dimensions && this.dimensions.window;
 
-		this.addInBetweenTween(
-			this.getImages( [1, 1] ),
-			{ [this.scaleKey]: () => this.ratios.backgroundToImage * this.config.imageScaleMax },
-			'stage0Snap',
-			'stage2Snap'
-		);
+		if (
+			previousWindow
+			&& previousWindow.width === window.innerWidth
+			&& Math.abs( previousWindow.height - window.innerHeight ) / previousWindow.height < this.config.resizeThreshold
+		) {
+			return;
+		}
 
-		this.addInBetweenTween(
-			this.getImages( [1, 1] ),
-			{ [this.scaleKey]: () => this.ratios.backgroundToImage },
-			'stage2Snap',
-			'stage3Snap'
-		);
+		window.clearTimeout( this.resizeTimeout );
+		this.resizeTimeout = window.setTimeout( () => this.rebuild(), this.config.resizeDebounce );
+	}
 
-		this.addInBetweenTween(
-			this.getImages( [0, 1] ),
-			{ opacity: 0 },
-			'stage3In',
-			'stage3Snap'
-		);
+	/**
+	 * Handles the background image loading a new source, swapping it in without touching the timeline.
+	 */
+	handleBackgroundImageLoad() {
 
-		// Animating the shapes ----------------------------- //
+		for ( const image of this.getImages( [1, 1] ) ) {
+			image.setElement( this.setupBackgroundImage ).set( 'dirty', true );
+		}
 
-		// Set up the opacity
-		// This is so that they don't start rendering in a weird way before the images animate in.
+		if ( this.workerRenderer ) {
+			this.workerRenderer.setImage( this.setupBackgroundImage );
+		}
 
-		this.theSacredTimeline.set(
-			[...this.getShapes( [1, 1] ), ...this.getImages( [0, 1] )],
-			{ opacity: 1 },
-			getLabelTime( this.theSacredTimeline, 'stage0ContentIn' )
-		);
+		this.invalidateDrawables();
+	}
 
-		// Expand the focal point
+	/**
+	 * Handles the user's reduced motion preference changing.
+	 *
+	 * Swaps between the static and animated modes, rebuilding the timeline for the new one.
+	 */
+	handleReducedMotionChange() {
 
-		this.addInBetweenTween( this.getShapes( [1, 1], this.focalPointShapeIndex ), { [this.scaleKey] : 1 }, 'stage0ContentOut', 'stage1Snap' );
-		this.addInBetweenTween( this.getShapes( [1, 1], this.focalPointShapeIndex ), { [this.scaleKey] : this.config.focalPointScaleToMax }, 'stage1Snap', 'stage2Snap' );
+		const isStatic = this.shouldBeStatic();
 
-		// Expand out the other shapes
+		if ( isStatic === this.isStatic ) {
+			return;
+		}
 
-		for ( const [i, index] of this.expandableShapeIndices.entries() ) {
+		this.isStatic = isStatic;
+		this.applyMotionMode();
 
-			this.addInBetweenTween(
-				this.getShapes( [1, 1], index ),
-				{
-					top             : () => `+=${randInRange( this.dimensions.shapeGuide.height * this.config.shapeToYMin, this.dimensions.shapeGuide.height * this.config.shapeToYMax, true )}`,
-					left            : () => `+=${randInRange( this.dimensions.shapeGuide.width * this.config.shapeToXMin, this.dimensions.shapeGuide.width * this.config.shapeToXMax, true )}`,
-					angle           : () => randInRange( this.config.shapeRotateToMin, this.config.shapeRotateToMax, true ),
-					[this.scaleKey] : () => randInRange( this.config.shapeScaleToMin, this.config.shapeScaleToMax ),
-				},
-				'stage1Snap',
-				'stage2Snap',
-				this.config.shapeExpandStagger * i
-			);
+		if ( this.theSacredTimeline ) {
+			this.rebuild( false );
 		}
+	}
 
-		// Snapping them all into place
+	/* ------------------------------------------------------ */
+	/* Navigation ------------------------------------------- */
+	/* ------------------------------------------------------ */
 
-		for ( let i = 0; i < this.shapes.length; i++ ) {
+	/**
+	 * Sends the user to a stage's snap point.
+	 *
+	 * Goes through the smoother when there is one so that it doesn't fight us.
+	 * Pass `animate: false` to jump there instantly.
+	 * With deep linking, going to a stage adds a history entry so the back button can return from it.
+	 * Pass `updateHistory: false` to skip that.
+	 */
+	goToStage( index, { animate = true, updateHistory = true } = {} ) {
 
-			const startLabel = 'stage2Snap';
-			const endLabel   = 'stage3Snap';
-			const offset     = this.config.shapeSnapStagger * i;
+		if ( ! this.theSacredTimeline ) {
+			return;
+		}
 
-			const allShapeProps = { angle: 0, [this.scaleKey]: 1 };
+		const stage    = Math.min( Math.max( index, 0 ), this.stageCount - 1 );
+		const smoother = ScrollSmoother.get();
 
-			const maskShapeProps = {
-				top  : () => this.dimensions[`shape${i}FromBackground`].cy - this.dimensions.background.halfHeight,
-				left : () => this.dimensions[`shape${i}FromBackground`].cx - this.dimensions.background.halfWidth
-			};
+		if ( this.config.deepLinking && updateHistory && stage !== this.currentStage ) {
+			this.writeStageHash( stage, true );
+		}
 
-			const drawableShapeProps = {
-				top  : () => this.dimensions[`shape${i}FromBackground`].cy,
-				left : () => this.dimensions[`shape${i}FromBackground`].cx
-			};
+		// Static stages are just regular content, so we scroll to them like any other element.
+
+		if ( this.isStatic ) {
 
-			this.addInBetweenTween(	this.maskShapes[i], mergeObj( allShapeProps, maskShapeProps ), startLabel, endLabel, offset );
-			this.addInBetweenTween(	this.drawableShapes[i], mergeObj( allShapeProps, drawableShapeProps ), startLabel, endLabel, offset );
+			if ( smoother ) {
+				smoother.scrollTo( this.staticStages[stage], animate, 'top top' );
+			}
+			else {
+				this.staticStages[stage].scrollIntoView( { behavior: animate ? 'smooth' : 'auto' } );
+			}
+
+			return;
 		}
 
-		// Adding their strokes
+		this.targetStage = stage;
+		this.scrollToPosition( this.getStageScrollPosition( stage ), animate );
+	}
 
-		for ( let i = 0; i < this.drawableShapes.length; i++ ) {
+	/**
+	 * Scrolls the page to a position, through the smoother when there is one.
+	 */
+	scrollToPosition( position, animate = true ) {
 
-			this.addInBetweenTween(
-				this.getShapes( [1], i ),
-				{ [this.strokeWidthKey] : this.config.shapeStrokeWidth },
-				'stage3In',
-				'stage3Snap',
-				this.config.shapeSnapStagger * i
-			);
+		const smoother = ScrollSmoother.get();
+
+		if ( smoother ) {
+			smoother.scrollTo( position, animate );
+		}
+		else {
+			window.scrollTo( { top: position, behavior: animate ? 'smooth' : 'auto' } );
 		}
+	}
 
-		// Fading them out
+	/**
+	 * Sends the user to the next stage.
+	 */
+	next( options = {} ) {
+		this.goToStage( this.getCurrentStage() + 1, options );
+	}
 
-		for ( let i = 0; i < this.shapes.length; i++ ) {
+	/**
+	 * Sends the user to the previous stage.
+	 */
+	prev( options = {} ) {
+		this.goToStage( this.getCurrentStage() - 1, options );
+	}
 
-			const startLabel = 'stage3ContentOut';
-			const endLabel   = 'stage4Snap';
-			const offset     = this.config.shapeSnapStagger * i;
+	/**
+	 * Gets the index of the current stage.
+	 */
+	getCurrentStage() {
+		return this.currentStage || 0;
+	}
 
-			const allShapeProps = {
-				opacity         : 0,
-				angle           : () => randInRange( this.config.shapeRotateToMin, this.config.shapeRotateToMax, true ),
-				[this.scaleKey] : 0
-			};
+	/**
+	 * Gets how far through the whole interactive we are, from 0 to 1.
+	 */
+	getProgress() {
+		return this.theSacredTimeline ? this.theSacredTimeline.progress() : 0;
+	}
 
-			const maskShapeProps = {
-				top  : () => this.dimensions.focalPointFromBackground.cy - this.dimensions.background.halfHeight + randInRange( this.dimensions.shapeGuide.height * this.config.shapeToYMin ),
-				left : () => this.dimensions.focalPointFromBackground.cx - this.dimensions.background.halfWidth + + randInRange( this.dimensions.shapeGuide.width * this.config.shapeToXMin )
-			};
+	/**
+	 * Gets the scroll position at which the pinned timeline hits a stage's snap point.
+	 */
+	getStageScrollPosition( index ) {
 
-			const drawableShapeProps = {
-				top  : () => this.dimensions.focalPointFromBackground.cy + randInRange( this.dimensions.shapeGuide.height * this.config.shapeToYMin ),
-				left : () => this.dimensions.focalPointFromBackground.cx + randInRange( this.dimensions.shapeGuide.width * this.config.shapeToXMin )
-			};
+		const scrollTrigger = this.theSacredTimeline.scrollTrigger;
+		const progress      = this.stageSnapTimes[index] / this.theSacredTimeline.duration();
 
-			this.addInBetweenTween( this.maskShapes[i], mergeObj( allShapeProps, maskShapeProps ), startLabel, endLabel, offset	);
-			this.addInBetweenTween( this.drawableShapes[i], mergeObj( allShapeProps, drawableShapeProps ), startLabel, endLabel, offset	);
-		}
+		return scrollTrigger.start + ( scrollTrigger.end - scrollTrigger.start ) * progress;
+	}
 
-		// Hoisting up the snap labels ---------------------- //
+	/**
+	 * Gets the scroll trigger's snap config, or false when snapping is off for this device.
+	 *
+	 * Snapping used to go to every label, and there are plenty of those in between stages.
+	 * On touch devices, even a small flick would land on one of them, so now it only goes to the stages' snap points.
+	 * The start and end are in there too, so that the user can still scroll out of the interactive.
+	 * Touch scrolling also keeps going after the finger lifts, so we wait a little longer there and don't add inertia of our own.
+	 */
+	getSnapConfig() {
 
-		for ( let i = 0; i < this.stageCount; i++ ) {
-			this.theSacredTimeline.addLabel( `stage${i}Snap`, getLabelTime( this.theSacredTimeline, `stage${i}Snap` ) );
+		if ( ! this.shouldSnap() ) {
+			return false;
 		}
+
+		const isTouch = ScrollTrigger.isTouch === 1;
+
+		return {
+			snapTo   : ( progress, self ) => ScrollTrigger.snapDirectional( this.getSnapPoints() )( progress, self.direction ),
+			delay    : isTouch ? this.config.snapTouchDelay : this.config.snapDelay,
+			duration : { min: this.config.snapDurationMin, max: this.config.snapDurationMax },
+			inertia  : ! isTouch
+		};
 	}
 
 	/**
-	 * Gets text content tweens for the currently building stage and adds them to the currently building timeline.
+	 * Gets the progress points to snap to.
 	 */
-	addStageContentTween( startLabel, isOut = false, includeProgress = false, includeScrollPrompt = false ) {
-
-		const props = {
-			opacity   : isOut ? 0 : 1,
-			rotationX : isOut ? 60 : 0,
-			duration  : this.config.lettersDuration,
-			stagger   : { each: 0 }
-		};
+	getSnapPoints() {
 
-		let order = [
-			'header',
-			'body',
-			includeProgress ? 'progress' : null,
-			includeScrollPrompt ? 'scrollPrompt' : null
-		];
-		order = isOut ? order.reverse() : order;
-		order = order.filter( ( component ) => component );
+		const duration = this.theSacredTimeline.duration();
 
-		for ( const [i, componentName] of order.entries() ) {
+		return [0, ...this.stageSnapTimes.map( ( snapTime ) => snapTime / duration ), 1];
+	}
 
-			let animatableContent = this.dynamicComponents.includes( componentName ) ? this.animatableContent[componentName][this.currentStageBuild] : [this.animatableContent[componentName]];
-			animatableContent = isOut ? animatableContent.slice().reverse() : animatableContent;
+	/**
+	 * Works out which stage we're currently at.
+	 *
+	 * That's whichever stage's snap point the timeline is closest to.
+	 */
+	updateCurrentStage() {
 
-			props.stagger.each = this.config[`${componentName}LettersStagger`] || this.config.lettersStagger;
-			const componentDelay = this.config.textComponentStagger * i;
+		const time = this.theSacredTimeline.time();
 
-			for ( let [n, animatableChild] of animatableContent.entries() ) {
+		let currentStage = 0;
 
-				if ( Array.isArray( animatableChild ) && isOut ) {
-					animatableChild = animatableChild.slice().reverse();
-				}
+		for ( const [i, snapTime] of this.stageSnapTimes.entries() ) {
 
-				this.currentTimelineBuild.to(
-					animatableChild,
-					props,
-					`${startLabel}+=${componentDelay + (this.config.textComponentChildStagger * n)}`
-				);
+			if ( Math.abs( snapTime - time ) < Math.abs( this.stageSnapTimes[currentStage] - time ) ) {
+				currentStage = i;
 			}
 		}
+
+		if ( currentStage === this.currentStage ) {
+			return;
+		}
+
+		const previousStage = this.currentStage;
+
+		this.currentStage = currentStage;
+		this.updateProgressNav();
+
+		window.dispatchEvent( new CustomEvent( this.stageChangeEvent, {
+			detail : { id: this.id, element: this.element, stage: currentStage, previousStage: previousStage, stageCount: this.stageCount }
+		} ) );
 	}
 
 	/**
-	 * Adds an in-between tween (lol) to the currently building timeline.
+	 * Keeps the URL hash in line with the current stage as the user scrolls.
+	 *
+	 * This replaces the current history entry rather than adding one per stage.
+	 * Before and after the interactive, our stage gets taken out of the hash.
 	 */
-	addInBetweenTween( target, props, startLabel, endLabel, offset = 0 ) {
+	updateStageHash() {
 
-		props.duration = getLabelTime( this.currentTimelineBuild, endLabel )
-			- getLabelTime( this.currentTimelineBuild, startLabel )
-			- offset;
+		if ( ! this.config.deepLinking || this.isStatic ) {
+			return;
+		}
 
-		this.currentTimelineBuild.to(
-			target,
-			props,
-			getLabelTime( this.currentTimelineBuild, startLabel ) + offset
-		);
-	}
+		// The stages passed on the way to one we're scrolling to aren't worth writing down, especially over a deep link.
 
-	/* ------------------------------------------------------ */
-	/* Event Handling --------------------------------------- */
-	/* ------------------------------------------------------ */
+		if ( this.targetStage !== null ) {
+
+			if ( this.currentStage !== this.targetStage ) {
+				return;
+			}
+
+			this.targetStage = null;
+		}
+
+		const progress = this.getProgress();
+
+		this.writeStageHash( progress > 0 && progress < 1 ? this.currentStage : null );
+	}
 
 	/**
-	 * Handles updating of the sacred timeline.
+	 * Gets what comes before the stage in this instance's part of the URL hash.
 	 *
-	 * Scales and centers images, busts shape image caches, then renders the canvas.
+	 * The first interactive on the page gets the plain `#exai-stage-3`.
+	 * Any others need their id in there to tell them apart, as in `#exai-interactive-2-stage=3`.
 	 */
-	handleUpdate() {
+	getStageHashPrefix() {
 
-		this.bustCache( this.drawables.rainbow );
-		this.bustCache( this.drawables.maskImage );
-
-		for ( const image of this.getImages( [1, 1] ) ) {
-			image.scale( image[this.scaleKey] );
-			image.center();
+		if ( qs( this.selector ) === this.element ) {
+			return this.config.stageHashPrefix;
 		}
 
-		for ( let i = 0; i < this.shapes.length; i++ ) {
+		return `${this.id || this.blockClassName}-stage=`;
+	}
 
-			this.drawableShapes[i].scale( this.drawableShapes[i][this.scaleKey] );
-			this.maskShapes[i].scale( this.maskShapes[i][this.scaleKey] );
+	/**
+	 * Reads the stage from the URL hash, if it's in there.
+	 */
+	readStageFromHash() {
 
-			this.drawableShapes[i].set( 'strokeWidth', this.drawableShapes[i][this.strokeWidthKey] );
-		}
+		const stage = parseInt( getHashPart( this.getStageHashPrefix() ), 10 );
 
-		this.fabricCanvas.renderAll();
+		return stage >= 0 && stage < this.stageCount ? stage : null;
 	}
 
 	/**
-	 * Handles resize events.
+	 * Writes a stage into the URL hash, or takes it out with null, leaving the rest of the hash alone.
+	 * Either replaces the current history entry or pushes a new one.
 	 */
-	handleResize() {
+	writeStageHash( stage, push = false ) {
 
-		this.calculateDimensionsAndRatios();
-		this.fabricCanvas.setDimensions( { width: this.dimensions.background.width, height: this.dimensions.background.height } );
+		this.stageHashValue = stage === null ? null : `${stage}`;
+
+		setHashPart( this.getStageHashPrefix(), this.stageHashValue, push );
+	}
+
+	/**
+	 * Marks the current stage in the progress nav.
+	 *
+	 * Only one progress stage is tabbable at a time, with the arrow keys getting you to the rest.
+	 */
+	updateProgressNav() {
+
+		const tabbableIndex = Math.min( Math.max( this.currentStage - 1, 0 ), this.progressStages.length - 1 );
+
+		for ( const [i, progressStage] of this.progressStages.entries() ) {
+
+			if ( i + 1 === this.currentStage ) {
+				progressStage.setAttribute( 'aria-current', 'step' );
+			}
+			else {
+				progressStage.removeAttribute( 'aria-current' );
+			}
+
+			progressStage.tabIndex = i === tabbableIndex ? 0 : -1;
+		}
 	}
 
 	/* ------------------------------------------------------ */
@@ -838,18 +2329,101 @@ export default class ExaiInteractive {
 		this.dimensions.shapeGuide = normalizeBoundingRect( this.shapeGuide.getBoundingClientRect() );
 		this.dimensions.shapeGuideFromBackground = transformBoundingRect( this.dimensions.background, this.dimensions.shapeGuide );
 
+		// Shapes are centered on their geometry rather than their bounding box, which can differ once they're rotated or lopsided.
+
 		for ( let i = 0; i < this.shapes.length; i++ ) {
 
+			this.dimensions[`shape${i}Transform`]      = this.measureShape( this.shapes[i] );
 			this.dimensions[`shape${i}`]               = normalizeBoundingRect( this.shapes[i].getBoundingClientRect() );
 			this.dimensions[`shape${i}FromBackground`] = transformBoundingRect( this.dimensions.background, this.dimensions[`shape${i}`] );
+
+			this.dimensions[`shape${i}FromBackground`].cx = this.dimensions[`shape${i}Transform`].cx - this.dimensions.background.x;
+			this.dimensions[`shape${i}FromBackground`].cy = this.dimensions[`shape${i}Transform`].cy - this.dimensions.background.y;
 		}
 
 		// Ratios
 
-		this.ratios.backgroundToImage = this.dimensions.background.width / this.setupBackgroundImage.naturalWidth;
+		this.ratios.backgroundToImage = this.dimensions.background.width / this.backgroundImageWidth;
 		this.ratios.imageToBackground = 1 / this.ratios.backgroundToImage;
 	}
 
+	/**
+	 * Checks whether we should snap to stages on this device.
+	 *
+	 * Snapping can be on `everywhere`, only on the `desktop`, or `never`.
+	 * Devices with both a mouse and a touchscreen count as desktops.
+	 */
+	shouldSnap() {
+
+		switch ( this.config.snapScroll ) {
+
+			case 'everywhere':
+			case true:
+				return true;
+
+			case 'desktop':
+				return ScrollTrigger.isTouch !== 1;
+
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Works out whether to wait for the section to come near the viewport before setting up.
+	 */
+	shouldSetupLazily() {
+		return this.config.lazy && 'IntersectionObserver' in window && ! ( this.config.deepLinking && this.readStageFromHash() !== null );
+	}
+
+	/**
+	 * Works out whether the interactive should be static rather than animated.
+	 */
+	shouldBeStatic() {
+
+		if ( this.config.reducedMotion === 'auto' ) {
+			return this.reducedMotionMediaQuery.matches;
+		}
+
+		return !! this.config.reducedMotion;
+	}
+
+	/**
+	 * Reflects the current motion mode on the element.
+	 */
+	applyMotionMode() {
+		this.element.classList.toggle( this.staticClassName, this.isStatic );
+	}
+
+	/**
+	 * Maps the stage roles of the background choreography onto actual stages.
+	 *
+	 * The first and last stages are always the intro and outro, and the shapes always snap into place on the second-to-last.
+	 * The focal expand and scatter share whatever's left in between, doubling up when there isn't room.
+	 */
+	calculateStageRoles() {
+
+		const snap  = this.stageCount - 2;
+		const focal = Math.min( 1, snap );
+
+		this.stageRoles = {
+			intro   : 0,
+			focal   : focal,
+			scatter : Math.max( focal, snap - 1 ),
+			snap    : snap,
+			outro   : this.stageCount - 1
+		};
+	}
+
+	/**
+	 * Gets how far a shape needs to be offset if it belongs to the mask.
+	 *
+	 * The mask group is centered on the background, whereas the drawables are positioned from its top left.
+	 */
+	getMaskOffset( shape, dimension ) {
+		return shape[this.isMaskKey] ? this.dimensions.background[dimension] : 0;
+	}
+
 	/**
 	 * Gets an array of drawable images.
 	 */
@@ -907,4 +2481,28 @@ export default class ExaiInteractive {
 	bustCache( object ) {
 		object[this.cacheBusterKey] = Math.random();
 	}
+
+	/**
+	 * Gets a random number within a range, using our own random number generator.
+	 */
+	randInRange( min, max = null, randomizeSign = false ) {
+		return randInRange( min, max, randomizeSign, 3, this.random );
+	}
+
+	/**
+	 * Resets our random number generator.
+	 *
+	 * With a seed, this starts the same sequence over again. Without one, it's just Math.random().
+	 */
+	resetRandom() {
+		this.random = this.config.seed === null ? Math.random : createRandom( this.config.seed );
+	}
 }
+
+/**
+ * The most canvas pixels per CSS pixel that any interactive renders at with `retina` on.
+ *
+ * fabricJS keeps the pixel ratio in a global, so the cap is page-wide rather than a per-instance option.
+ * Set it before initializing to change it for all of them.
+ */
+ExaiInteractive.maxPixelRatio = 2;
@@ -1,13 +1,13 @@
 /**
  * The Exai Bio Job Openings.
  * 
- * Retrieves open job postings from Exai's Workable account.
+ * Retrieves open job postings from Exai's job board, which is Workable unless configured otherwise.
  * Iterates through them and creates an individual listing of each, based on a pre-configured example element.
  */
 import axios from 'axios';
-import axiosJsonpAdaptor from 'axios-jsonp';
 
-import { qs, mergeObj } from './utils';
+import { qs, $on, $delegate, mergeObj, getDataConfig, getProperty, getHashParam, setHashParam } from './utils';
+import jobProviders from './job-providers';
 
 export default class ExaiJobOpenings {
 
@@ -20,24 +20,116 @@ export default class ExaiJobOpenings {
 	 *
 	 * Creates the class and configures all of the configuration options.
 	 * This helps us define things like the animation speeds, eases, etc. without editing code.
+	 * Optionally takes the element to bind to, otherwise the first one on the page gets used.
 	 */
-	constructor( config = {} ) {
+	constructor( config = {}, element = null ) {
 
 		// User config
 
 		const defaultConfig = {
+			// Job board
+			// The provider is one of `workable`, `greenhouse`, `lever` or `static`, or an object implementing our provider interface.
+			// The account is the Workable account, Greenhouse board token or Lever site name. Static feeds use the feed URL instead.
+			// `workableAccountName` is its old name, still read so that existing embeds keep working.
+
+			provider            : 'workable',
+			account             : '',
 			workableAccountName : 'exai-bio',
+			feedUrl             : '',
+
 			defaultLimit        : 10,
+			timeout             : 10000,
+			retries             : 2,
+			retryDelay          : 1000,
+			retryLabel          : 'Try again',
+
+			// Filters
+			// These are fixed for the list, and matched against the job fields.
+			// Department and location take comma-separated values, remote takes true or false.
+
+			department          : '',
+			location            : '',
+			remote              : null,
+			search              : '',
+
+			// Filter controls
+			// These let the user narrow the list down further.
+
+			filterControls      : false,
+			filterLabels        : {
+				department : 'All departments',
+				location   : 'All locations',
+				remote     : 'Remote only',
+				search     : 'Search roles'
+			},
+
+			// Rendering
+			// Group by any job field, e.g. `department`, to get a heading per group.
+
+			groupBy             : '',
+			ungroupedLabel      : 'Other',
+			dateTemplate        : 'Posted {date}',
+
+			// Links
+			// Job links can only point to the job board's origins and our own site, plus any allowed here.
+			// Set the target to an empty string to open them in the same tab.
+
+			allowedOrigins      : [],
+			linkTarget          : '_blank',
+			linkRel             : 'noopener noreferrer',
+
+			// Pagination
+			// Openings past the limit can be shown with a `more` button, or split into numbered `pages`. `false` leaves them out.
+			// The page ends up in the URL hash, so a shared link opens on the same page.
+
+			pagination          : false,
+			moreLabel           : 'Show more',
+			paginationLabel     : 'Job openings pages',
+			pageLabel           : 'Page {page}',
+			countTemplate       : 'Showing {shown} of {total} roles',
+
+			// Caching
+			// Openings get cached in `local` or `session` storage, or not at all with `false`.
+			// Cached openings show up straight away, and once they're older than the TTL (in ms) they get revalidated in the background.
+
+			cache               : 'local',
+			cacheTtl            : 300000,
 		};
 
-		this.config = mergeObj( defaultConfig, config );
+		this.config  = mergeObj( defaultConfig, config );
+		this.element = element;
 
 		// Internal config
 
 		this.blockClassName = 'exai-job-openings';
 
-		this.endpoint      = 'https://www.workable.com/api/accounts/';
-		this.limitDataAttr = 'limit';
+		this.limitDataAttr  = 'limit';
+		this.dateFields     = ['created_at', 'published_on'];
+		this.locale         = document.documentElement.lang || navigator.language;
+		this.cacheKeyPrefix = 'exaiJobOpenings';
+
+		// Relative dates use the largest of these units that fits, in seconds.
+
+		this.relativeDateUnits = [
+			['year', 31536000],
+			['month', 2592000],
+			['week', 604800],
+			['day', 86400],
+			['hour', 3600],
+			['minute', 60],
+			['second', 1]
+		];
+
+		// Errors get one of these types, which decides whether retrying is worth it.
+
+		this.errorTypes = {
+			timeout : 'timeout',
+			network : 'network',
+			payload : 'payload',
+			config  : 'config'
+		};
+
+		this.retryableErrorTypes = [this.errorTypes.timeout, this.errorTypes.network];
 	}
 
 	/**
@@ -49,12 +141,18 @@ export default class ExaiJobOpenings {
 	init() {
 
 		this.selector = `.${this.blockClassName}`;
-		this.element  = qs( this.selector );
+		this.element  = this.element || qs( this.selector );
 
 		if ( this.element ) {
 
+			// Data attributes on the element override the config, so each list can be configured individually.
+
+			this.config = mergeObj( this.config, getDataConfig( this.element, this.config ) );
+			this.config.account = this.config.account || this.config.workableAccountName;
+
 			this.openings          = [];
-			this.openingsToDisplay = this.element.dataset[this.limitDataAttr] || this.config.defaultLimit;
+			this.openingsToDisplay = parseInt( this.element.dataset[this.limitDataAttr], 10 ) || this.config.defaultLimit;
+			this.page              = this.readPageFromHash() || 1;
 
 			this.exampleOpeningItemClassName = `${this.blockClassName}__list-item--example`;
 			this.exampleOpeningItem          = qs( `.${this.exampleOpeningItemClassName}`, this.element );
@@ -62,54 +160,300 @@ export default class ExaiJobOpenings {
 			this.list           = qs( `${this.selector}__list`, this.element );
 			this.loadingMessage = qs( `${this.selector}__loading`, this.element );
 			this.emptyMessage   = qs( `${this.selector}__empty`, this.element );
-			this.errorMessage   = qs( `${this.selector}__loading`, this.element );
+			this.errorMessage   = qs( `${this.selector}__error`, this.element );
+
+			this.openingItems           = [];
+			this.openingLinks           = [];
+			this.createdElements        = [];
+			this.listenerRemovers       = [];
+			this.filterListenerRemovers = [];
+			this.errorType              = null;
+			this.serializedOpenings     = null;
+			this.renderedFromCache      = false;
+
+			this.filters = { department: '', location: '', remote: null, search: '' };
+
+			this.setupRetryButton();
+			this.setupPagination();
+			this.loadOpenings();
+		}
+	}
+
+	/**
+	 * Sets up the "Try again" button in the error message.
+	 *
+	 * Uses one from the markup if there is one, otherwise creates it.
+	 */
+	setupRetryButton() {
 
-			axios( { url: `${this.endpoint}${this.config.workableAccountName}`, adapter: axiosJsonpAdaptor } )
-				.then( ( payload ) => this.handleSuccess( payload ) )
-				.then( ( error ) => this.handleError( error ) )
-				.finally( () => this.removeLoadingState() )
+		this.retryButton        = qs( `${this.selector}__retry`, this.errorMessage );
+		this.createdRetryButton = ! this.retryButton;
+
+		if ( this.createdRetryButton ) {
+
+			this.retryButton = document.createElement( 'button' );
+			this.retryButton.type = 'button';
+			this.retryButton.classList.add( `${this.blockClassName}__retry`, 'button' );
+			this.retryButton.textContent = this.config.retryLabel;
+
+			this.errorMessage.appendChild( this.retryButton );
+		}
+
+		this.listenerRemovers.push( $on( this.retryButton, 'click', this.handleRetry.bind( this ) ) );
+	}
+
+	/**
+	 * Sets up the count of openings, and the pagination if it's on.
+	 *
+	 * Uses `__count` and `__pagination` elements from the markup if there are any, otherwise creates them around the list.
+	 */
+	setupPagination() {
+
+		this.countElement = this.queryOrCreate( 'count', 'p', ( count ) => this.list.before( count ) );
+		this.countElement.setAttribute( 'aria-live', 'polite' );
+
+		if ( ! this.config.pagination ) {
+			return;
+		}
+
+		this.paginationElement = this.queryOrCreate( 'pagination', 'nav', ( pagination ) => this.list.after( pagination ) );
+		this.paginationElement.setAttribute( 'aria-label', this.config.paginationLabel );
+
+		this.listenerRemovers.push(
+			$delegate( this.paginationElement, `${this.selector}__more, ${this.selector}__page`, 'click', this.handlePaginationClick.bind( this ) ),
+			$on( window, 'hashchange', this.handleHashChange.bind( this ) )
+		);
+	}
+
+	/**
+	 * Destroyer.
+	 *
+	 * Removes the rendered openings and restores the original state of the messages, so that init() can be called again cleanly.
+	 */
+	destroy() {
+
+		this.request = null;
+		window.clearTimeout( this.retryTimeout );
+
+		if ( ! this.element ) {
+			return;
+		}
+
+		for ( const removeListener of this.listenerRemovers ) {
+			removeListener();
+		}
+
+		this.listenerRemovers = [];
+
+		if ( this.createdRetryButton ) {
+			this.retryButton.remove();
+		}
+
+		this.removeFilterControls();
+		this.clearErrorState();
+
+		for ( const element of this.createdElements ) {
+			element.remove();
+		}
+
+		this.createdElements = [];
+
+		if ( this.paginationElement ) {
+			this.paginationElement.innerHTML = '';
+			this.paginationElement = null;
+		}
+
+		this.countElement.textContent = '';
+
+		for ( const openingItem of this.openingItems ) {
+			openingItem.remove();
+		}
+
+		this.openingItems = [];
+
+		for ( const element of [this.list, this.loadingMessage, this.emptyMessage, this.errorMessage] ) {
+			element.style.removeProperty( 'display' );
 		}
 	}
 
 	/* ------------------------------------------------------ */
-	/* Handling API Responses ------------------------------- */
+	/* Fetching Openings ------------------------------------ */
 	/* ------------------------------------------------------ */
 
 	/**
-	 * Parses a response from workable and converts the public jobs into HTML elements.
+	 * Loads the openings, from the cache if we can.
+	 *
+	 * Cached openings get rendered straight away, and only fetched again once they're stale.
 	 */
-	handleSuccess( payload ) {
+	loadOpenings() {
 
-		this.openings = payload.data.jobs;
+		const cached = this.readCache();
 
-		if ( this.openings.length ) {
+		if ( cached ) {
 
-			for ( const opening of this.openings.slice( 0, this.openingsToDisplay ) ) {
+			this.renderedFromCache  = true;
+			this.serializedOpenings = JSON.stringify( cached.openings );
 
-				const openingItem    = this.exampleOpeningItem.cloneNode( true );
-				const openingElement = qs( `${this.selector}__opening`, openingItem );
-				const title          = qs( `${this.selector}__opening-title`, openingItem );
+			this.handleSuccess( cached.openings );
+			this.removeLoadingState();
 
-				openingItem.classList.remove( this.exampleOpeningItemClassName );
-				openingElement.setAttribute( 'href', opening.url );
-				title.innerHTML = opening.title;
-
-				this.list.appendChild( openingItem );
+			if ( Date.now() - cached.time < this.config.cacheTtl ) {
+				return;
 			}
+		}
 
-			this.list.style.display = 'block';
+		this.fetchOpenings();
+	}
+
+	/**
+	 * Fetches the openings from the job board and hands off the result.
+	 *
+	 * Responses that come back after a destroy() or a newer request belong to nobody, so we check for that before handling them.
+	 * If the openings are already on screen from the cache, they only get re-rendered when something changed.
+	 * Only the request's own errors get handled here. A bug while rendering isn't the job board's fault, so retrying won't help.
+	 */
+	fetchOpenings( attempt = 0 ) {
+
+		const request = this.request = this.requestOpenings();
+
+		request.then(
+			( openings ) => {
+
+				if ( this.request !== request ) {
+					return;
+				}
+
+				const serializedOpenings = JSON.stringify( openings );
+
+				if ( serializedOpenings !== this.serializedOpenings ) {
+					this.serializedOpenings = serializedOpenings;
+					this.handleSuccess( openings );
+				}
+
+				this.writeCache( openings );
+				this.removeLoadingState();
+			},
+			( error ) => this.request === request && this.handleError( error, attempt )
+		);
+	}
+
+	/**
+	 * Requests the openings from the job board's provider, normalized into our common job shape.
+	 *
+	 * Not every request can time out by itself (looking at you, JSONP), so we cancel it ourselves.
+	 * Whatever goes wrong, the promise rejects with an error typed as a timeout, network, payload or config error.
+	 */
+	requestOpenings() {
+
+		const provider = this.getProvider();
+
+		if ( ! provider ) {
+			return Promise.reject( this.createError( this.errorTypes.config, `Unknown job board provider "${this.config.provider}".` ) );
 		}
-		else {
-			this.emptyMessage.style.display = 'block';
+
+		const cancelSource = axios.CancelToken.source();
+		const timeout      = window.setTimeout( () => cancelSource.cancel(), this.config.timeout );
+
+		return provider.fetch( this.config, cancelSource.token )
+			.then(
+				( data ) => {
+
+					try {
+						return provider.normalize( data );
+					}
+					catch ( error ) {
+						throw this.createError( this.errorTypes.payload, error.message );
+					}
+				},
+				( error ) => {
+
+					if ( axios.isCancel( error ) ) {
+						throw this.createError( this.errorTypes.timeout, `The job board didn't respond within ${this.config.timeout}ms.` );
+					}
+
+					throw this.createError( this.errorTypes.network, error.message );
+				}
+			)
+			.finally( () => window.clearTimeout( timeout ) );
+	}
+
+	/**
+	 * Gets the configured provider.
+	 */
+	getProvider() {
+
+		if ( typeof this.config.provider === 'object' ) {
+			return this.config.provider;
+		}
+
+		return jobProviders[this.config.provider] || null;
+	}
+
+	/* ------------------------------------------------------ */
+	/* Handling API Responses ------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Takes the normalized openings and converts them into HTML elements.
+	 *
+	 * Only the jobs matching the list's filters, and with a link we trust, are kept.
+	 */
+	handleSuccess( openings ) {
+
+		this.openings = openings.filter( ( opening ) => this.matchesFilters( opening, this.config ) && this.hasSafeUrl( opening ) );
+
+		// Revalidated openings can bring new options with them, so the controls get rebuilt, keeping what's selected.
+
+		if ( this.config.filterControls ) {
+			this.removeFilterControls();
+			this.renderFilterControls();
+			this.filters = this.readFilterControls();
 		}
+
+		this.renderOpenings();
 	}
 
 	/**
-	 * Handles an error from the Workable API.
-	 * Renders the error state.
+	 * Handles an error from the job board.
+	 *
+	 * Timeouts and network errors get retried a few times, backing off more each time.
+	 * A bad payload or config won't get any better by asking again, so those go straight to the error state.
+	 * The error state gets a modifier class for its type, e.g. `exai-job-openings--error-timeout`.
+	 * If cached openings are already on screen, they're better than an error, so they stay put instead.
 	 */
-	handleError( error ) {
+	handleError( error, attempt = 0 ) {
+
+		const type = error.type || this.errorTypes.network;
+
+		if ( this.retryableErrorTypes.includes( type ) && attempt < this.config.retries ) {
+			this.retryTimeout = window.setTimeout( () => this.fetchOpenings( attempt + 1 ), this.config.retryDelay * Math.pow( 2, attempt ) );
+			return;
+		}
+
+		if ( this.renderedFromCache ) {
+			console.warn( 'Job openings failed to revalidate, so the cached ones are staying.', error );
+			return;
+		}
+
+		console.warn( 'Job openings failed to load.', error );
+
+		this.errorType = type;
+		this.element.classList.add( `${this.blockClassName}--error-${type}` );
 		this.errorMessage.style.display = 'block';
+		this.removeLoadingState();
+	}
+
+	/**
+	 * Handles the "Try again" button.
+	 * Puts things back into the loading state and fetches again from scratch.
+	 */
+	handleRetry() {
+
+		window.clearTimeout( this.retryTimeout );
+
+		this.clearErrorState();
+		this.loadingMessage.style.removeProperty( 'display' );
+		this.fetchOpenings();
 	}
 
 	/**
@@ -120,5 +464,704 @@ export default class ExaiJobOpenings {
 		this.loadingMessage.style.display = 'none';
 	}
 
+	/**
+	 * Removes the error state.
+	 */
+	clearErrorState() {
+
+		if ( this.errorType ) {
+			this.element.classList.remove( `${this.blockClassName}--error-${this.errorType}` );
+			this.errorType = null;
+		}
+
+		this.errorMessage.style.removeProperty( 'display' );
+	}
+
+	/* ------------------------------------------------------ */
+	/* Rendering -------------------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Renders the openings that match the filter controls, on the current page.
+	 *
+	 * Replaces anything rendered before, so this can be called again whenever the filters or page change.
+	 */
+	renderOpenings() {
+
+		for ( const openingItem of this.openingItems ) {
+			openingItem.remove();
+		}
+
+		this.openingItems = [];
+		this.openingLinks = [];
+
+		const openings  = this.openings.filter( ( opening ) => this.matchesFilters( opening, this.filters ) );
+		const pageCount = Math.max( 1, Math.ceil( openings.length / this.openingsToDisplay ) );
+
+		this.page = Math.min( this.page, pageCount );
+
+		this.renderCount( openings.length );
+		this.renderPagination( pageCount );
+
+		if ( openings.length ) {
+
+			const displayedOpenings = openings.slice( ...this.getDisplayRange() );
+
+			if ( this.config.groupBy ) {
+
+				for ( const [groupName, groupOpenings] of this.groupOpenings( displayedOpenings ) ) {
+
+					const group     = this.createGroup( groupName );
+					const groupList = qs( `${this.selector}__group-list`, group );
+
+					for ( const opening of groupOpenings ) {
+						groupList.appendChild( this.createOpeningItem( opening ) );
+					}
+
+					this.openingLinks.push( ...groupList.querySelectorAll( `${this.selector}__opening` ) );
+
+					this.list.appendChild( group );
+					this.openingItems.push( group );
+				}
+			}
+			else {
+
+				for ( const opening of displayedOpenings ) {
+
+					const openingItem = this.createOpeningItem( opening );
+
+					this.list.appendChild( openingItem );
+					this.openingItems.push( openingItem );
+					this.openingLinks.push( qs( `${this.selector}__opening`, openingItem ) );
+				}
+			}
+
+			this.list.style.display = 'block';
+			this.emptyMessage.style.removeProperty( 'display' );
+		}
+		else {
+			this.list.style.removeProperty( 'display' );
+			this.emptyMessage.style.display = 'block';
+		}
+	}
+
+	/**
+	 * Creates a list item for an opening from the example item.
+	 *
+	 * Besides the link and title, any descendant with a `data-job-field` gets that field's value, e.g. `location.city`.
+	 * Dates come out relative, and anything without a value gets hidden.
+	 * Everything from the feed goes in as text, never as markup.
+	 */
+	createOpeningItem( opening ) {
+
+		const openingItem    = this.exampleOpeningItem.cloneNode( true );
+		const openingElement = qs( `${this.selector}__opening`, openingItem );
+		const title          = qs( `${this.selector}__opening-title`, openingItem );
+
+		openingItem.classList.remove( this.exampleOpeningItemClassName );
+		openingElement.setAttribute( 'href', this.getSafeUrl( opening ) );
+		openingElement.setAttribute( 'rel', this.config.linkRel );
+		title.textContent = opening.title;
+
+		if ( this.config.linkTarget ) {
+			openingElement.setAttribute( 'target', this.config.linkTarget );
+		}
+		else {
+			openingElement.removeAttribute( 'target' );
+		}
+
+		for ( const fieldElement of openingItem.querySelectorAll( '[data-job-field]' ) ) {
+
+			const field = fieldElement.dataset.jobField;
+			const value = this.formatField( field, getProperty( opening, field ) );
+
+			fieldElement.textContent = value;
+			fieldElement.hidden      = ! value;
+		}
+
+		return openingItem;
+	}
+
+	/**
+	 * Creates a group of openings, with its heading and a list to put them in.
+	 */
+	createGroup( groupName ) {
+
+		const group     = document.createElement( 'li' );
+		const heading   = document.createElement( 'h3' );
+		const groupList = document.createElement( 'ul' );
+
+		group.classList.add( `${this.blockClassName}__group` );
+		heading.classList.add( `${this.blockClassName}__group-heading` );
+		groupList.classList.add( `${this.blockClassName}__group-list` );
+
+		heading.textContent = groupName;
+		groupList.setAttribute( 'role', 'list' );
+
+		group.append( heading, groupList );
+
+		return group;
+	}
+
+	/**
+	 * Groups openings by the `groupBy` field, keeping the order they first show up in.
+	 */
+	groupOpenings( openings ) {
+
+		const groups = new Map();
+
+		for ( const opening of openings ) {
+
+			const groupName = this.formatField( this.config.groupBy, getProperty( opening, this.config.groupBy ) ) || this.config.ungroupedLabel;
+
+			if ( ! groups.has( groupName ) ) {
+				groups.set( groupName, [] );
+			}
+
+			groups.get( groupName ).push( opening );
+		}
+
+		return groups;
+	}
+
+	/**
+	 * Formats a job field's value for display.
+	 */
+	formatField( field, value ) {
+
+		if ( value === null || value === undefined ) {
+			return '';
+		}
+
+		if ( Array.isArray( value ) ) {
+			return value.join( ', ' );
+		}
+
+		if ( this.dateFields.includes( field ) ) {
+			return this.formatRelativeDate( value );
+		}
+
+		return `${value}`;
+	}
+
+	/**
+	 * Formats a date relative to now in the page's locale, e.g. "Posted 3 days ago".
+	 * Browsers without relative time formatting get the date itself instead, e.g. "Posted October 31, 2022".
+	 */
+	formatRelativeDate( value ) {
+
+		const date = new Date( value );
+
+		if ( isNaN( date ) ) {
+			return `${value}`;
+		}
+
+		if ( ! window.Intl || typeof Intl.RelativeTimeFormat !== 'function' ) {
+			return this.config.dateTemplate.replace( '{date}', date.toLocaleDateString( this.locale, { year: 'numeric', month: 'long', day: 'numeric' } ) );
+		}
+
+		const seconds      = ( date.getTime() - Date.now() ) / 1000;
+		const [unit, size] = this.relativeDateUnits.find( ( [, unitSize] ) => Math.abs( seconds ) >= unitSize ) || ['second', 1];
+		const formatter    = new Intl.RelativeTimeFormat( this.locale, { numeric: 'auto' } );
+
+		return this.config.dateTemplate.replace( '{date}', formatter.format( Math.round( seconds / size ), unit ) );
+	}
+
+	/**
+	 * Renders the filter controls.
+	 *
+	 * Options come from the distinct values in the openings, and any filter without at least two of them is left out.
+	 * Goes into a `__filters` element if there is one, otherwise one gets created before the count.
+	 */
+	renderFilterControls() {
+
+		this.filterContainer        = qs( `${this.selector}__filters`, this.element );
+		this.createdFilterContainer = ! this.filterContainer;
+
+		if ( this.createdFilterContainer ) {
+			this.filterContainer = document.createElement( 'div' );
+			this.filterContainer.classList.add( `${this.blockClassName}__filters` );
+			this.countElement.before( this.filterContainer );
+		}
+
+		this.filterControls = {};
+
+		for ( const filter of ['department', 'location'] ) {
+
+			const values = [...new Set( this.openings.map( ( opening ) => this.getOpeningFilterValue( opening, filter ) ).filter( ( value ) => value ) )].sort();
+
+			if ( values.length < 2 ) {
+				continue;
+			}
+
+			const select = document.createElement( 'select' );
+			select.setAttribute( 'aria-label', this.config.filterLabels[filter] );
+			select.add( new Option( this.config.filterLabels[filter], '' ) );
+
+			for ( const value of values ) {
+				select.add( new Option( value, value, false, value === this.filters[filter] ) );
+			}
+
+			this.addFilterControl( filter, select );
+		}
+
+		if ( new Set( this.openings.map( ( opening ) => opening.remote ) ).size > 1 ) {
+
+			const label    = document.createElement( 'label' );
+			const checkbox = document.createElement( 'input' );
+
+			checkbox.type    = 'checkbox';
+			checkbox.checked = this.filters.remote === true;
+			label.append( checkbox, ` ${this.config.filterLabels.remote}` );
+
+			this.addFilterControl( 'remote', checkbox, label );
+		}
+
+		const search = document.createElement( 'input' );
+		search.type        = 'search';
+		search.value       = this.filters.search;
+		search.placeholder = this.config.filterLabels.search;
+		search.setAttribute( 'aria-label', this.config.filterLabels.search );
+
+		this.addFilterControl( 'search', search );
+
+		this.filterListenerRemovers.push(
+			$on( this.filterContainer, 'change', this.handleFilterChange.bind( this ) ),
+			$on( this.filterContainer, 'input', this.handleFilterChange.bind( this ) )
+		);
+	}
+
+	/**
+	 * Removes the filter controls, along with their container if we created it.
+	 */
+	removeFilterControls() {
+
+		if ( ! this.filterContainer ) {
+			return;
+		}
+
+		for ( const removeListener of this.filterListenerRemovers ) {
+			removeListener();
+		}
+
+		this.filterListenerRemovers = [];
+
+		if ( this.createdFilterContainer ) {
+			this.filterContainer.remove();
+		}
+		else {
+			this.filterContainer.innerHTML = '';
+		}
+
+		this.filterContainer = null;
+	}
+
+	/**
+	 * Adds a filter control to the filter container.
+	 */
+	addFilterControl( filter, control, wrapper = control ) {
+
+		wrapper.classList.add( `${this.blockClassName}__filter`, `${this.blockClassName}__filter--${filter}` );
+
+		this.filterControls[filter] = control;
+		this.filterContainer.appendChild( wrapper );
+	}
+
+	/* ------------------------------------------------------ */
+	/* Pagination ------------------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Gets the range of the filtered openings to display.
+	 *
+	 * Showing more keeps the earlier pages around, whereas numbered pages only show their own openings.
+	 */
+	getDisplayRange() {
+
+		const end = this.page * this.openingsToDisplay;
+
+		switch ( this.config.pagination ) {
+
+			case 'more':
+				return [0, end];
+
+			case 'pages':
+				return [end - this.openingsToDisplay, end];
+
+			default:
+				return [0, this.openingsToDisplay];
+		}
+	}
+
+	/**
+	 * Renders the count of openings, e.g. "Showing 10 of 23 roles".
+	 * There's nothing to count when the list is empty, since the empty message says it all.
+	 */
+	renderCount( total ) {
+
+		const [start, end] = this.getDisplayRange();
+		const shown        = Math.max( 0, Math.min( end, total ) - start );
+
+		this.countElement.textContent = total ? this.config.countTemplate.replace( '{shown}', shown ).replace( '{total}', total ) : '';
+		this.countElement.hidden      = ! total;
+	}
+
+	/**
+	 * Renders the "Show more" button or the page buttons.
+	 */
+	renderPagination( pageCount ) {
+
+		if ( ! this.paginationElement ) {
+			return;
+		}
+
+		this.paginationElement.innerHTML = '';
+
+		if ( this.config.pagination === 'more' && this.page < pageCount ) {
+
+			const moreButton = document.createElement( 'button' );
+			moreButton.type = 'button';
+			moreButton.classList.add( `${this.blockClassName}__more`, 'button' );
+			moreButton.textContent = this.config.moreLabel;
+
+			this.paginationElement.appendChild( moreButton );
+		}
+
+		if ( this.config.pagination === 'pages' && pageCount > 1 ) {
+
+			for ( let page = 1; page <= pageCount; page++ ) {
+
+				const pageButton = document.createElement( 'button' );
+				pageButton.type = 'button';
+				pageButton.classList.add( `${this.blockClassName}__page` );
+				pageButton.textContent  = page;
+				pageButton.dataset.page = page;
+				pageButton.setAttribute( 'aria-label', this.config.pageLabel.replace( '{page}', page ) );
+
+				if ( page === this.page ) {
+					pageButton.setAttribute( 'aria-current', 'page' );
+				}
+
+				this.paginationElement.appendChild( pageButton );
+			}
+		}
+
+		this.paginationElement.hidden = ! this.paginationElement.children.length;
+	}
+
+	/**
+	 * Handles the "Show more" and page buttons.
+	 *
+	 * Focus moves to the first newly shown opening, so keyboard users don't have to go looking for it.
+	 */
+	handlePaginationClick( event ) {
+
+		const page           = event.target.dataset.page ? parseInt( event.target.dataset.page, 10 ) : this.page + 1;
+		const firstLinkIndex = this.config.pagination === 'more' ? this.openingLinks.length : 0;
+
+		this.goToPage( page );
+
+		if ( this.openingLinks[firstLinkIndex] ) {
+			this.openingLinks[firstLinkIndex].focus();
+		}
+	}
+
+	/**
+	 * Handles the URL hash changing, e.g. with the back button or a pasted link.
+	 * Other parts of the hash belong to something else on the page, so without a page of our own in there, we're on the first.
+	 */
+	handleHashChange() {
+
+		const page = this.readPageFromHash() || 1;
+
+		if ( page !== this.page ) {
+			this.page = page;
+			this.renderOpenings();
+		}
+	}
+
+	/**
+	 * Goes to a page of openings, and puts it in the URL hash.
+	 */
+	goToPage( page ) {
+
+		this.page = page;
+		this.writePageToHash();
+		this.renderOpenings();
+	}
+
+	/**
+	 * Gets the URL hash key for this list's page, e.g. `exai-job-openings-1-page`.
+	 */
+	getPageHashKey() {
+		return `${this.id || this.blockClassName}-page`;
+	}
+
+	/**
+	 * Reads this list's page from the URL hash, if it's in there.
+	 */
+	readPageFromHash() {
+		return parseInt( getHashParam( this.getPageHashKey() ), 10 ) || null;
+	}
+
+	/**
+	 * Writes this list's page into the URL hash.
+	 *
+	 * Replaces the history entry rather than adding one, and leaves the rest of the hash alone.
+	 * The first page doesn't need to be in there at all.
+	 */
+	writePageToHash() {
+		setHashParam( this.getPageHashKey(), this.page > 1 ? this.page : null );
+	}
+
+	/* ------------------------------------------------------ */
+	/* Filtering -------------------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Handles the filter controls changing.
+	 * Re-renders the list from the openings we already have, no re-fetching needed, starting again from the first page.
+	 */
+	handleFilterChange() {
+
+		this.filters = this.readFilterControls();
+		this.goToPage( 1 );
+	}
+
+	/**
+	 * Reads the filters from the filter controls.
+	 */
+	readFilterControls() {
+
+		const controls = this.filterControls;
+
+		return {
+			department : controls.department ? controls.department.value : '',
+			location   : controls.location ? controls.location.value : '',
+			remote     : controls.remote && controls.remote.checked ? true : null,
+			search     : controls.search ? controls.search.value.trim() : ''
+		};
+	}
+
+	/**
+	 * Checks whether an opening matches a set of filters.
+	 *
+	 * Empty filters match everything.
+	 */
+	matchesFilters( opening, filters ) {
+
+		if ( filters.department && ! this.matchesAnyOf( [opening.department], filters.department ) ) {
+			return false;
+		}
+
+		if ( filters.location && ! this.matchesAnyOf( this.getOpeningLocations( opening ), filters.location ) ) {
+			return false;
+		}
+
+		if ( filters.remote !== null && filters.remote !== '' && opening.remote !== !! filters.remote ) {
+			return false;
+		}
+
+		if ( filters.search && ! `${opening.title} ${opening.department || ''}`.toLowerCase().includes( filters.search.toLowerCase() ) ) {
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Checks whether any of the values match any of a filter's comma-separated values, ignoring case.
+	 */
+	matchesAnyOf( values, filter ) {
+
+		const filterValues = filter.split( ',' ).map( ( value ) => value.trim().toLowerCase() );
+
+		return values.some( ( value ) => value && filterValues.includes( value.toLowerCase() ) );
+	}
+
+	/**
+	 * Gets every place an opening is located, from the city up to the country.
+	 */
+	getOpeningLocations( opening ) {
+
+		const locations = [];
+
+		for ( const location of [opening.location, ...opening.locations] ) {
+			locations.push( location.city, location.region, location.country );
+		}
+
+		return locations.filter( ( location ) => location );
+	}
+
+	/**
+	 * Gets the value an opening shows up under in a filter control.
+	 */
+	getOpeningFilterValue( opening, filter ) {
+
+		if ( filter === 'location' ) {
+			return this.getOpeningLocations( opening )[0];
+		}
+
+		return opening[filter];
+	}
+
+	/* ------------------------------------------------------ */
+	/* Links ------------------------------------------------ */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Gets an opening's URL, as long as it points somewhere we trust.
+	 *
+	 * That rules out `javascript:` URLs and the like too, since they don't have an origin.
+	 */
+	getSafeUrl( opening ) {
+
+		let url;
+
+		try {
+			url = new URL( opening.url, window.location.href );
+		}
+		catch ( error ) {
+			return null;
+		}
+
+		return this.getAllowedOrigins().includes( url.origin ) ? url.href : null;
+	}
+
+	/**
+	 * Checks whether an opening has a URL we trust, warning about it if not.
+	 */
+	hasSafeUrl( opening ) {
+
+		if ( this.getSafeUrl( opening ) ) {
+			return true;
+		}
+
+		console.warn( `Left out the "${opening.title}" job opening, since its link isn't on an allowed origin.`, opening.url );
+
+		return false;
+	}
+
+	/**
+	 * Gets the origins job links are allowed to point to.
+	 */
+	getAllowedOrigins() {
+
+		const provider = this.getProvider();
+
+		return [window.location.origin, ...( provider && provider.origins ? provider.origins : [] ), ...this.config.allowedOrigins];
+	}
+
+	/* ------------------------------------------------------ */
+	/* Caching ---------------------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Gets the configured storage.
+	 *
+	 * Browsers can block storage altogether, and even throw just for asking, in which case we go without.
+	 */
+	getStorage() {
+
+		if ( ! this.config.cache ) {
+			return null;
+		}
+
+		try {
+			return window[`${this.config.cache}Storage`] || null;
+		}
+		catch ( error ) {
+			return null;
+		}
+	}
+
+	/**
+	 * Gets the cache key.
+	 *
+	 * It's per job board rather than per list, since every list caches the same openings and filters them itself.
+	 */
+	getCacheKey() {
+
+		const provider = typeof this.config.provider === 'object' ? this.config.provider.name || 'custom' : this.config.provider;
+
+		return `${this.cacheKeyPrefix}:${provider}:${this.config.feedUrl || this.config.account}`;
+	}
+
+	/**
+	 * Reads the cached openings, along with when they were cached.
+	 */
+	readCache() {
+
+		const storage = this.getStorage();
+
+		if ( ! storage ) {
+			return null;
+		}
+
+		try {
+
+			const cached = JSON.parse( storage.getItem( this.getCacheKey() ) );
+
+			return cached && typeof cached.time === 'number' && Array.isArray( cached.openings ) ? cached : null;
+		}
+		catch ( error ) {
+			return null;
+		}
+	}
+
+	/**
+	 * Caches the openings.
+	 */
+	writeCache( openings ) {
+
+		const storage = this.getStorage();
+
+		if ( ! storage ) {
+			return;
+		}
+
+		try {
+			storage.setItem( this.getCacheKey(), JSON.stringify( { time: Date.now(), openings } ) );
+		}
+		catch ( error ) {
+			console.warn( 'Job openings failed to cache.', error );
+		}
+	}
+
+	/* ------------------------------------------------------ */
+	/* Utils ------------------------------------------------ */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Queries up a `__<elementName>` element, or creates one if the markup doesn't have it.
+	 * Created elements get placed with the given function, and removed again on destroy().
+	 */
+	queryOrCreate( elementName, tagName, place ) {
+
+		let element = qs( `${this.selector}__${elementName}`, this.element );
+
+		if ( ! element ) {
+
+			element = document.createElement( tagName );
+			element.classList.add( `${this.blockClassName}__${elementName}` );
+
+			place( element );
+			this.createdElements.push( element );
+		}
+
+		return element;
+	}
+
+	/**
+	 * Creates an error of a given type.
+	 */
+	createError( type, message ) {
+
+		const error = new Error( message );
+		error.type = type;
+
+		return error;
+	}
+
 }
 
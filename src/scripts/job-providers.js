@@ -0,0 +1,200 @@
+/**
+ * The Exai Bio Job Board Providers.
+ *
+ * Each provider knows how to fetch openings from one job board, and how to normalize them into our common job shape.
+ * That way, ExaiJobOpenings can render them without caring where they came from.
+ *
+ * A provider is an object with two methods, and a list of origins:
+ *
+ * - fetch( config, cancelToken ): Resolves with the raw response data. Rejects if the request fails.
+ * - normalize( data ):            Returns an array of jobs in the common shape. Throws if the data isn't what it expects.
+ * - origins:                      Where the board's job links can point. Links anywhere else don't get rendered.
+ *
+ * The common job shape uses Workable's field names, since that's what we started with:
+ *
+ * {
+ *     id              : '2A1B3C',
+ *     title           : 'Software Engineer',
+ *     url             : 'https://apply.workable.com/exai-bio/j/2A1B3C/',
+ *     department      : 'Engineering',
+ *     employment_type : 'Full-time',
+ *     remote          : false,
+ *     location        : { city: 'San Diego', region: 'California', country: 'United States' },
+ *     locations       : [{ city: 'San Diego', region: 'California', country: 'United States' }],
+ *     created_at      : '2022-10-31'
+ * }
+ */
+
+import axios from 'axios';
+import axiosJsonpAdaptor from 'axios-jsonp';
+
+/**
+ * Creates a job in the common shape, filling in anything missing.
+ */
+function createJob( fields ) {
+
+	const job = Object.assign( {
+		id              : '',
+		title           : '',
+		url             : '',
+		department      : '',
+		employment_type : '',
+		remote          : false,
+		location        : {},
+		locations       : [],
+		created_at      : ''
+	}, fields );
+
+	if ( ! job.locations.length && Object.keys( job.location ).length ) {
+		job.locations = [job.location];
+	}
+
+	return job;
+}
+
+/**
+ * Parses a free-form location name like "San Diego, CA, United States" into its parts.
+ */
+function parseLocationName( name = '' ) {
+
+	const [city, region, country] = name.split( ',' ).map( ( part ) => part.trim() );
+
+	return { city, region, country };
+}
+
+/**
+ * Makes sure a response has an array where we expect one.
+ */
+function expectArray( value, boardName ) {
+
+	if ( ! Array.isArray( value ) ) {
+		throw new Error( `${boardName} responded without a list of jobs.` );
+	}
+
+	return value;
+}
+
+/**
+ * Workable.
+ * Uses the public account API over JSONP. The account is the Workable subdomain.
+ */
+export const workable = {
+
+	origins: ['https://apply.workable.com', 'https://jobs.workable.com', 'https://www.workable.com'],
+
+	fetch( config, cancelToken ) {
+
+		return axios( { url: `https://www.workable.com/api/accounts/${config.account}`, adapter: axiosJsonpAdaptor, cancelToken } )
+			.then( ( response ) => response.data );
+	},
+
+	normalize( data ) {
+
+		return expectArray( data && data.jobs, 'Workable' ).map( ( job ) => createJob( {
+			id              : job.shortcode,
+			title           : job.title,
+			url             : job.url || job.application_url,
+			department      : job.department,
+			employment_type : job.employment_type,
+			remote          : !! job.telecommuting,
+			location        : { city: job.city, region: job.state, country: job.country },
+			locations       : ( job.locations || [] ).map( ( location ) => ( { city: location.city, region: location.region, country: location.country } ) ),
+			created_at      : job.created_at || job.published_on
+		} ) );
+	}
+};
+
+/**
+ * Greenhouse.
+ * Uses the public job board API. The account is the board token.
+ */
+export const greenhouse = {
+
+	origins: ['https://boards.greenhouse.io', 'https://job-boards.greenhouse.io'],
+
+	fetch( config, cancelToken ) {
+
+		return axios( { url: `https://boards-api.greenhouse.io/v1/boards/${config.account}/jobs`, cancelToken } )
+			.then( ( response ) => response.data );
+	},
+
+	normalize( data ) {
+
+		return expectArray( data && data.jobs, 'Greenhouse' ).map( ( job ) => {
+
+			const locationName = job.location ? job.location.name : '';
+
+			return createJob( {
+				id         : job.id,
+				title      : job.title,
+				url        : job.absolute_url,
+				department : job.departments && job.departments.length ? job.departments[0].name : '',
+				remote     : /remote/i.test( locationName ),
+				location   : parseLocationName( locationName ),
+				created_at : job.first_published || job.updated_at
+			} );
+		} );
+	}
+};
+
+/**
+ * Lever.
+ * Uses the public postings API. The account is the Lever site name.
+ */
+export const lever = {
+
+	origins: ['https://jobs.lever.co'],
+
+	fetch( config, cancelToken ) {
+
+		return axios( { url: `https://api.lever.co/v0/postings/${config.account}`, params: { mode: 'json' }, cancelToken } )
+			.then( ( response ) => response.data );
+	},
+
+	normalize( data ) {
+
+		return expectArray( data, 'Lever' ).map( ( job ) => {
+
+			const categories = job.categories || {};
+
+			return createJob( {
+				id              : job.id,
+				title           : job.text,
+				url             : job.hostedUrl,
+				department      : categories.team || categories.department,
+				employment_type : categories.commitment,
+				remote          : job.workplaceType === 'remote' || /remote/i.test( categories.location || '' ),
+				location        : parseLocationName( categories.location ),
+				locations       : ( categories.allLocations || [] ).map( ( location ) => parseLocationName( location ) ),
+				created_at      : job.createdAt ? new Date( job.createdAt ).toISOString() : ''
+			} );
+		} );
+	}
+};
+
+/**
+ * Static JSON.
+ * Fetches a feed of jobs already in the common shape from `feedUrl`, either as an array or as `{ jobs: [...] }`.
+ * Handy for staging. Its links can only point to our own site, unless more origins are allowed in the config.
+ */
+export const staticJson = {
+
+	origins: [],
+
+	fetch( config, cancelToken ) {
+
+		return axios( { url: config.feedUrl, cancelToken } )
+			.then( ( response ) => response.data );
+	},
+
+	normalize( data ) {
+		return expectArray( Array.isArray( data ) ? data : data && data.jobs, 'The job feed' ).map( ( job ) => createJob( job ) );
+	}
+};
+
+export default {
+	workable   : workable,
+	greenhouse : greenhouse,
+	lever      : lever,
+	static     : staticJson
+};
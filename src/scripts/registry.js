@@ -0,0 +1,91 @@
+/**
+ * The Exai Bio Module Registry.
+ *
+ * Instantiates one controller per matching element on the page, so that any of our modules can show up more than once.
+ * Every controller gets the same config, which it can then override per element with data attributes.
+ */
+
+import { qsa } from './utils';
+
+export default class ExaiRegistry {
+
+	/* ------------------------------------------------------ */
+	/* Setup & Initialization ------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Constructor.
+	 *
+	 * Takes the controller class to instantiate, the selector for its elements and the config shared between them.
+	 */
+	constructor( Controller, selector, config = {} ) {
+
+		this.Controller = Controller;
+		this.selector   = selector;
+		this.config     = config;
+
+		this.instances = new Map();
+		this.idCount   = 0;
+	}
+
+	/**
+	 * Initializer.
+	 *
+	 * Creates and initializes a controller for every matching element that doesn't have one yet.
+	 * Safe to call again after more elements have been added to the page.
+	 */
+	init() {
+
+		for ( const element of qsa( this.selector ) ) {
+
+			if ( this.instances.has( element ) ) {
+				continue;
+			}
+
+			const controller = new this.Controller( this.config, element );
+
+			this.idCount += 1;
+			controller.id = element.id || `${controller.blockClassName}-${this.idCount}`;
+
+			this.instances.set( element, controller );
+			controller.init();
+		}
+	}
+
+	/**
+	 * Destroyer.
+	 *
+	 * Destroys every controller and forgets about them.
+	 */
+	destroy() {
+
+		for ( const controller of this.getAll() ) {
+			controller.destroy();
+		}
+
+		this.instances.clear();
+	}
+
+	/* ------------------------------------------------------ */
+	/* Lookups ---------------------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Gets the controller for an element or id.
+	 */
+	get( elementOrId ) {
+
+		if ( typeof elementOrId === 'string' ) {
+			return this.getAll().find( ( controller ) => controller.id === elementOrId ) || null;
+		}
+
+		return this.instances.get( elementOrId ) || null;
+	}
+
+	/**
+	 * Gets all of the controllers.
+	 */
+	getAll() {
+		return [...this.instances.values()];
+	}
+}
@@ -27,8 +27,11 @@ export default class ExaiSmoothScroller {
 
 		// User config
 
+		// Normalizing scroll keeps touch devices from scrolling on their own thread, which the interactive's snapping relies on there.
+
 		const defaultConfig = {
 			smoothness      : 0.75,
+			normalizeScroll : true,
 			resizeThreshold : 0.25
 		};
 
@@ -52,6 +55,7 @@ export default class ExaiSmoothScroller {
 		this.element  = qs( this.selector );
 
 		this.normalizedViewportHeight = null;
+		this.listenerRemovers         = [];
 
 		if ( this.element ) {
 
@@ -61,7 +65,7 @@ export default class ExaiSmoothScroller {
 				wrapper            : this.element,
 				content            : this.content,
 				smooth             : this.config.smoothness,
-				normalizeScroll    : true,
+				normalizeScroll    : this.config.normalizeScroll,
 				ignoreMobileResize : true
 			} );
 		}
@@ -69,7 +73,28 @@ export default class ExaiSmoothScroller {
 		this.normalizeViewportHeight();
 		window.dispatchEvent( new Event( 'smoothScrollSetup' ) );
 
-		$on( window, 'resize', this.normalizeViewportHeight.bind( this ) );
+		this.listenerRemovers.push( $on( window, 'resize', this.normalizeViewportHeight.bind( this ) ) );
+	}
+
+	/**
+	 * Destroyer.
+	 *
+	 * Kills the smoother and removes everything init() added, so that it can be called again cleanly.
+	 */
+	destroy() {
+
+		for ( const removeListener of this.listenerRemovers || [] ) {
+			removeListener();
+		}
+
+		this.listenerRemovers = [];
+
+		if ( this.theSaviorScrollSmoother ) {
+			this.theSaviorScrollSmoother.kill();
+			this.theSaviorScrollSmoother = null;
+		}
+
+		document.documentElement.style.removeProperty( `--${this.viewportHeightProperty}` );
 	}
 
 	/**
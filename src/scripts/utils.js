@@ -25,9 +25,11 @@ export function qsa(selector, scope) {
  * @param {string} type Event name to bind to
  * @param {Function} callback Event callback
  * @param {boolean} [capture] Capture the event
+ * @returns {Function} Removes the listener again
  */
 export function $on(target, type, callback, capture) {
   target.addEventListener(type, callback, !!capture);
+  return () => target.removeEventListener(type, callback, !!capture);
 }
 
 /**
@@ -39,6 +41,7 @@ export function $on(target, type, callback, capture) {
  * @param {Function} handler Function called when the event bubbles to target
  *                           from an element matching selector
  * @param {boolean} [capture] Capture the event
+ * @returns {Function} Removes the listener again
  */
 export function $delegate(target, selector, type, handler, capture) {
   const dispatchEvent = event => {
@@ -53,28 +56,46 @@ export function $delegate(target, selector, type, handler, capture) {
     }
   };
 
-  $on(target, type, dispatchEvent, !!capture);
+  return $on(target, type, dispatchEvent, !!capture);
+}
+
+/**
+ * Listens for a media query's matches changing.
+ *
+ * Safari before 14 only has the deprecated addListener on media query lists, so that gets used where addEventListener is missing.
+ * Returns a function that removes the listener again, same as $on().
+ */
+export function $onMediaChange( mediaQueryList, callback ) {
+
+	if ( typeof mediaQueryList.addEventListener === 'function' ) {
+		return $on( mediaQueryList, 'change', callback );
+	}
+
+	mediaQueryList.addListener( callback );
+
+	return () => mediaQueryList.removeListener( callback );
 }
 
 /**
  * Gets a random number within a range.
  *
  * Optionally, you can specify whether or not to make it negativ as well.
+ * Pass a generator from createRandom() to make it reproducible.
  */
-export function randInRange( min, max = null, randomizeSign = false, places = 3 ) {
+export function randInRange( min, max = null, randomizeSign = false, places = 3, random = Math.random ) {
 
 	if ( max === null ) {
 		max = Math.abs( min );
 		min = -max;
 	}
 
-	const rando = Math.random() * ( max - min ) + min;
+	const rando = random() * ( max - min ) + min;
 	const power = Math.pow( 10, places );
 
 	let number = Math.floor( rando * power ) / power;
 
 	if ( randomizeSign ) {
-		number = Math.random() - 0.5 > 0
+		number = random() - 0.5 > 0
 			? number
 			: -number;
 	}
@@ -82,6 +103,47 @@ export function randInRange( min, max = null, randomizeSign = false, places = 3
 	return number
 }
 
+/**
+ * Creates a seeded random number generator.
+ *
+ * Works just like Math.random(), except the same seed always gives the same sequence of numbers.
+ * This is Mulberry32, which is plenty random for animation.
+ *
+ * @link https://gist.github.com/tommyettinger/46a874533244883189143505d203312c
+ */
+export function createRandom( seed ) {
+
+	let state = seed >>> 0;
+
+	return () => {
+
+		state = ( state + 0x6d2b79f5 ) >>> 0;
+
+		let t = state;
+		t = Math.imul( t ^ ( t >>> 15 ), t | 1 );
+		t ^= t + Math.imul( t ^ ( t >>> 7 ), t | 61 );
+
+		return ( ( t ^ ( t >>> 14 ) ) >>> 0 ) / 4294967296;
+	};
+}
+
+/**
+ * Shuffles an array without bias.
+ *
+ * Returns a shuffled copy using Fisher-Yates, optionally with a generator from createRandom().
+ */
+export function shuffle( array, random = Math.random ) {
+
+	const shuffled = array.slice();
+
+	for ( let i = shuffled.length - 1; i > 0; i-- ) {
+		const j = Math.floor( random() * ( i + 1 ) );
+		[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+	}
+
+	return shuffled;
+}
+
 /**
  * Creates a new object by merging the properties of multiple objects together.
  */
@@ -89,6 +151,57 @@ export function mergeObj( ...objects ) {
 	return Object.assign( {}, ...objects );
 }
 
+/**
+ * Reads config overrides from an element's data attributes.
+ *
+ * Only keys that already exist in the config are read, e.g. `data-scroll-length="6"` overrides `scrollLength`.
+ * Values are coerced to the type of the existing config value, with objects and arrays parsed as JSON.
+ */
+export function getDataConfig( element, config ) {
+
+	const dataConfig = {};
+
+	for ( const [key, value] of Object.entries( element.dataset ) ) {
+
+		if ( ! ( key in config ) ) {
+			continue;
+		}
+
+		if ( value === 'true' || value === 'false' ) {
+			dataConfig[key] = value === 'true';
+			continue;
+		}
+
+		switch ( typeof config[key] ) {
+
+			case 'number':
+				dataConfig[key] = parseFloat( value );
+				break;
+
+			case 'object':
+				try {
+					dataConfig[key] = JSON.parse( value );
+				}
+				catch ( error ) {
+					console.warn( `Couldn't parse the data-${key} config as JSON.`, error );
+				}
+				break;
+
+			default:
+				dataConfig[key] = value;
+		}
+	}
+
+	return dataConfig;
+}
+
+/**
+ * Gets a nested property from an object by its dotted path, e.g. `location.city`.
+ */
+export function getProperty( object, path ) {
+	return path.split( '.' ).reduce( ( value, key ) => ( value === null || value === undefined ? undefined : value[key] ), object );
+}
+
 /**
  * Capitalizes the first letter of a string.
  */
@@ -96,6 +209,71 @@ export function upperCaseFirst( string = '' ) {
   return string.charAt( 0 ).toUpperCase() + string.slice( 1 );
 }
 
+/**
+ * Gets the parts of the URL hash.
+ *
+ * The hash is shared by everything on the page, so each module keeps its state in there as its own part, separated by `&`,
+ * e.g. `#exai-stage-3&exai-job-openings-1-page=2`. Plain anchors stay parts of their own.
+ */
+function getHashParts() {
+	return window.location.hash.slice( 1 ).split( '&' ).filter( ( part ) => part );
+}
+
+/**
+ * Reads the value of the URL hash part starting with a prefix, e.g. `3` for `exai-stage-` in `#exai-stage-3`.
+ * Returns null if there's no such part.
+ */
+export function getHashPart( prefix ) {
+
+	const part = getHashParts().find( ( hashPart ) => hashPart.startsWith( prefix ) );
+
+	return part ? decodeURIComponent( part.slice( prefix.length ) ) : null;
+}
+
+/**
+ * Sets the value of the URL hash part starting with a prefix, or removes the part when the value is null.
+ * The rest of the hash is left alone.
+ *
+ * Replaces the current history entry, unless told to push a new one.
+ */
+export function setHashPart( prefix, value, push = false ) {
+
+	const parts = getHashParts().filter( ( part ) => ! part.startsWith( prefix ) );
+
+	if ( value !== null ) {
+		parts.push( `${prefix}${encodeURIComponent( value )}` );
+	}
+
+	const hash = parts.length ? `#${parts.join( '&' )}` : '';
+
+	if ( hash === window.location.hash ) {
+		return;
+	}
+
+	const url = `${window.location.pathname}${window.location.search}${hash}`;
+
+	if ( push ) {
+		window.history.pushState( window.history.state, '', url );
+	}
+	else {
+		window.history.replaceState( window.history.state, '', url );
+	}
+}
+
+/**
+ * Reads a key's value from a `key=value` part of the URL hash, or null if it isn't in there.
+ */
+export function getHashParam( key ) {
+	return getHashPart( `${key}=` );
+}
+
+/**
+ * Sets a key's value as a `key=value` part of the URL hash, or removes it when the value is null.
+ */
+export function setHashParam( key, value, push = false ) {
+	setHashPart( `${key}=`, value, push );
+}
+
 /**
  * Normalizes a bounding rectangle.
  *
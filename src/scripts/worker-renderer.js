@@ -0,0 +1,457 @@
+/**
+ * The Exai Bio Homepage Interactive's Worker Renderer.
+ *
+ * Draws the interactive's canvas from a Web Worker, so that rendering doesn't compete with the smoother and text animations on the main thread.
+ * ExaiInteractive still animates its fabricJS objects as usual. Each frame, we read off just what's animated and post it to the worker,
+ * which draws it onto the canvas as an OffscreenCanvas.
+ */
+
+export default class ExaiWorkerRenderer {
+
+	/* ------------------------------------------------------ */
+	/* Setup & Initialization ------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Checks whether the browser can render in a worker at all.
+	 */
+	static isSupported() {
+
+		return typeof window.Worker === 'function'
+			&& typeof window.OffscreenCanvas === 'function'
+			&& typeof window.createImageBitmap === 'function'
+			&& 'transferControlToOffscreen' in HTMLCanvasElement.prototype;
+	}
+
+	/**
+	 * Constructor.
+	 *
+	 * Takes the canvas to hand over to the worker, the image it draws, and what to do if the worker falls over.
+	 */
+	constructor( canvas, image, onError = () => {} ) {
+
+		this.canvas  = canvas;
+		this.image   = image;
+		this.onError = onError;
+	}
+
+	/**
+	 * Initializer.
+	 *
+	 * Hands the canvas over to a worker, then sends the image along once it's decoded.
+	 * Content security policies can forbid workers from blobs, in which case we report back so the caller can fall back.
+	 */
+	init() {
+
+		this.workerUrl    = URL.createObjectURL( new Blob( [`(${renderWorker.toString()})();`], { type: 'text/javascript' } ) );
+		this.errorHandler = this.handleError.bind( this );
+
+		try {
+
+			const offscreenCanvas = this.canvas.transferControlToOffscreen();
+
+			this.worker = new Worker( this.workerUrl );
+			this.worker.addEventListener( 'error', this.errorHandler );
+			this.worker.postMessage( { type: 'init', canvas: offscreenCanvas }, [offscreenCanvas] );
+		}
+		catch ( error ) {
+			this.handleError( error );
+			return;
+		}
+
+		this.setImage( this.image );
+	}
+
+	/**
+	 * Destroyer.
+	 *
+	 * Stops the worker. A canvas can only be handed over once, so it gets swapped for a fresh copy that's returned for whoever draws next.
+	 * Errors that turn up afterwards, like an image that was still decoding, get dropped.
+	 */
+	destroy() {
+
+		this.isDestroyed = true;
+
+		if ( this.worker ) {
+			this.worker.removeEventListener( 'error', this.errorHandler );
+			this.worker.terminate();
+			this.worker = null;
+		}
+
+		URL.revokeObjectURL( this.workerUrl );
+
+		const canvas = this.canvas.cloneNode( false );
+		this.canvas.replaceWith( canvas );
+		this.canvas = canvas;
+
+		return canvas;
+	}
+
+	/* ------------------------------------------------------ */
+	/* Rendering -------------------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Sends the worker a new image to draw, e.g. once a sharper source has loaded.
+	 */
+	setImage( image ) {
+
+		this.image = image;
+
+		createImageBitmap( image )
+			.then( ( bitmap ) => this.worker && this.worker.postMessage( { type: 'image', image: bitmap }, [bitmap] ) )
+			.catch( this.errorHandler );
+	}
+
+	/**
+	 * Posts the scene's current state to the worker to draw.
+	 *
+	 * The scene holds the fabricJS canvas and objects, which stay on the main thread, and the pixel ratio to draw at.
+	 */
+	render( scene ) {
+
+		if ( ! this.worker ) {
+			return;
+		}
+
+		this.worker.postMessage( {
+			type  : 'frame',
+			frame : {
+				width        : scene.canvas.getWidth(),
+				height       : scene.canvas.getHeight(),
+				pixelRatio   : scene.pixelRatio || 1,
+				rainbow      : this.getGradientState( scene.rainbow, scene.gradient ),
+				rainbowImage : this.getObjectState( scene.rainbowImage ),
+				maskImage    : this.getObjectState( scene.maskImage ),
+				maskShapes   : scene.maskShapes.map( ( shape ) => this.getShapeState( shape ) ),
+				shapes       : scene.shapes.map( ( shape ) => this.getShapeState( shape ) )
+			}
+		} );
+	}
+
+	/**
+	 * Gets the state of an object.
+	 *
+	 * The transform matrix includes any group the object is in, so the worker doesn't need to know about groups.
+	 */
+	getObjectState( object ) {
+
+		return {
+			matrix  : object.calcTransformMatrix(),
+			opacity : object.opacity,
+			width   : object.width,
+			height  : object.height
+		};
+	}
+
+	/**
+	 * Gets the state of a shape.
+	 */
+	getShapeState( shape ) {
+
+		return Object.assign( this.getObjectState( shape ), {
+			type        : shape.type,
+			radius      : shape.radius,
+			rx          : shape.rx,
+			ry          : shape.ry,
+			points      : shape.points,
+			path        : shape.path,
+			pathOffset  : shape.pathOffset,
+			stroke      : shape.stroke,
+			strokeWidth : shape.strokeWidth
+		} );
+	}
+
+	/**
+	 * Gets the state of an object filled with a gradient.
+	 */
+	getGradientState( object, gradient ) {
+
+		return Object.assign( this.getObjectState( object ), {
+			coords : gradient.coords,
+			stops  : gradient.colorStops.map( ( colorStop ) => ( { offset: colorStop.offset, color: colorStop.color } ) )
+		} );
+	}
+
+	/* ------------------------------------------------------ */
+	/* Event Handling --------------------------------------- */
+	/* ------------------------------------------------------ */
+
+	/**
+	 * Handles the worker failing.
+	 */
+	handleError( error ) {
+
+		if ( this.isDestroyed ) {
+			return;
+		}
+
+		console.warn( 'The worker renderer failed, falling back to the main thread.', error );
+
+		this.onError( error );
+	}
+}
+
+/**
+ * The worker itself.
+ *
+ * This runs from its own source inside the worker, so it can't use imports or anything Babel needs a helper for,
+ * like spread, destructuring or for...of.
+ *
+ * It draws the same thing fabricJS would. The masked image gets drawn on its own canvas first, so that the mask shapes' opacity
+ * carries through to it the way fabricJS's clip paths do.
+ */
+function renderWorker() {
+
+	let canvas, context, maskCanvas, maskContext, image, latestFrame, drawScheduled, pixelRatio;
+
+	const scheduleFrame = self.requestAnimationFrame ? self.requestAnimationFrame.bind( self ) : ( callback ) => setTimeout( callback, 0 );
+
+	// Everything gets drawn in CSS pixels, and scaled up to the canvas's pixels on the way.
+
+	const setTransform = ( targetContext, matrix, opacity ) => {
+		targetContext.setTransform(
+			matrix[0] * pixelRatio,
+			matrix[1] * pixelRatio,
+			matrix[2] * pixelRatio,
+			matrix[3] * pixelRatio,
+			matrix[4] * pixelRatio,
+			matrix[5] * pixelRatio
+		);
+		targetContext.globalAlpha = opacity;
+	};
+
+	const resetTransform = ( targetContext ) => {
+		targetContext.setTransform( 1, 0, 0, 1, 0, 0 );
+		targetContext.globalAlpha = 1;
+	};
+
+	// Points and paths are relative to their path offset, which fabricJS keeps at their center.
+
+	const tracePoints = ( targetContext, shape, isClosed ) => {
+
+		for ( let i = 0; i < shape.points.length; i++ ) {
+			targetContext.lineTo( shape.points[i].x - shape.pathOffset.x, shape.points[i].y - shape.pathOffset.y );
+		}
+
+		if ( isClosed ) {
+			targetContext.closePath();
+		}
+	};
+
+	// fabricJS boils paths down to absolute moves, lines, curves and closes.
+
+	const tracePath = ( targetContext, shape ) => {
+
+		const x = -shape.pathOffset.x;
+		const y = -shape.pathOffset.y;
+
+		for ( let i = 0; i < shape.path.length; i++ ) {
+
+			const command = shape.path[i];
+
+			switch ( command[0] ) {
+
+				case 'M':
+					targetContext.moveTo( command[1] + x, command[2] + y );
+					break;
+
+				case 'L':
+					targetContext.lineTo( command[1] + x, command[2] + y );
+					break;
+
+				case 'C':
+					targetContext.bezierCurveTo( command[1] + x, command[2] + y, command[3] + x, command[4] + y, command[5] + x, command[6] + y );
+					break;
+
+				case 'Q':
+					targetContext.quadraticCurveTo( command[1] + x, command[2] + y, command[3] + x, command[4] + y );
+					break;
+
+				case 'Z':
+					targetContext.closePath();
+					break;
+			}
+		}
+	};
+
+	const traceRect = ( targetContext, shape ) => {
+
+		const left = -shape.width / 2;
+		const top  = -shape.height / 2;
+		const rx   = Math.min( shape.rx || 0, shape.width / 2 );
+		const ry   = Math.min( shape.ry || 0, shape.height / 2 );
+
+		if ( ! rx || ! ry ) {
+			targetContext.rect( left, top, shape.width, shape.height );
+			return;
+		}
+
+		targetContext.ellipse( left + shape.width - rx, top + ry, rx, ry, 0, -Math.PI / 2, 0 );
+		targetContext.ellipse( left + shape.width - rx, top + shape.height - ry, rx, ry, 0, 0, Math.PI / 2 );
+		targetContext.ellipse( left + rx, top + shape.height - ry, rx, ry, 0, Math.PI / 2, Math.PI );
+		targetContext.ellipse( left + rx, top + ry, rx, ry, 0, Math.PI, Math.PI * 1.5 );
+		targetContext.closePath();
+	};
+
+	const traceShape = ( targetContext, shape ) => {
+
+		targetContext.beginPath();
+
+		switch ( shape.type ) {
+
+			case 'circle':
+				targetContext.arc( 0, 0, shape.radius, 0, Math.PI * 2 );
+				break;
+
+			case 'ellipse':
+				targetContext.ellipse( 0, 0, shape.rx, shape.ry, 0, 0, Math.PI * 2 );
+				break;
+
+			case 'polygon':
+				tracePoints( targetContext, shape, true );
+				break;
+
+			case 'polyline':
+				tracePoints( targetContext, shape, false );
+				break;
+
+			case 'path':
+				tracePath( targetContext, shape );
+				break;
+
+			default:
+				traceRect( targetContext, shape );
+		}
+	};
+
+	const drawGradient = ( targetContext, object ) => {
+
+		const left     = -object.width / 2;
+		const top      = -object.height / 2;
+		const gradient = targetContext.createLinearGradient(
+			left + object.coords.x1 * object.width,
+			top + object.coords.y1 * object.height,
+			left + object.coords.x2 * object.width,
+			top + object.coords.y2 * object.height
+		);
+
+		for ( let i = 0; i < object.stops.length; i++ ) {
+			gradient.addColorStop( Math.min( Math.max( object.stops[i].offset, 0 ), 1 ), object.stops[i].color );
+		}
+
+		setTransform( targetContext, object.matrix, object.opacity );
+		targetContext.fillStyle = gradient;
+		targetContext.fillRect( left, top, object.width, object.height );
+	};
+
+	const drawImage = ( targetContext, object ) => {
+
+		if ( ! image || object.opacity <= 0 ) {
+			return;
+		}
+
+		setTransform( targetContext, object.matrix, object.opacity );
+		targetContext.drawImage( image, -object.width / 2, -object.height / 2, object.width, object.height );
+	};
+
+	const draw = () => {
+
+		const frame  = latestFrame;
+		const width  = Math.round( frame.width * frame.pixelRatio );
+		const height = Math.round( frame.height * frame.pixelRatio );
+
+		drawScheduled = false;
+		pixelRatio    = frame.pixelRatio;
+
+		if ( canvas.width !== width || canvas.height !== height ) {
+			canvas.width      = width;
+			canvas.height     = height;
+			maskCanvas.width  = width;
+			maskCanvas.height = height;
+		}
+
+		resetTransform( context );
+		context.clearRect( 0, 0, canvas.width, canvas.height );
+
+		drawGradient( context, frame.rainbow );
+		drawImage( context, frame.rainbowImage );
+
+		// The masked image.
+
+		resetTransform( maskContext );
+		maskContext.globalCompositeOperation = 'source-over';
+		maskContext.clearRect( 0, 0, maskCanvas.width, maskCanvas.height );
+		maskContext.fillStyle = '#000000';
+
+		for ( let i = 0; i < frame.maskShapes.length; i++ ) {
+
+			setTransform( maskContext, frame.maskShapes[i].matrix, frame.maskShapes[i].opacity );
+			traceShape( maskContext, frame.maskShapes[i] );
+			maskContext.fill();
+		}
+
+		maskContext.globalCompositeOperation = 'source-in';
+		drawImage( maskContext, frame.maskImage );
+
+		resetTransform( context );
+		context.drawImage( maskCanvas, 0, 0 );
+
+		// The shapes.
+
+		for ( let i = 0; i < frame.shapes.length; i++ ) {
+
+			const shape = frame.shapes[i];
+
+			if ( shape.opacity <= 0 || shape.strokeWidth <= 0 ) {
+				continue;
+			}
+
+			setTransform( context, shape.matrix, shape.opacity );
+			context.strokeStyle = shape.stroke;
+			context.lineWidth   = shape.strokeWidth;
+			traceShape( context, shape );
+			context.stroke();
+		}
+	};
+
+	// Frames can come in faster than we draw them, in which case only the latest one matters.
+
+	const requestDraw = () => {
+
+		if ( ! drawScheduled ) {
+			drawScheduled = true;
+			scheduleFrame( draw );
+		}
+	};
+
+	self.addEventListener( 'message', ( event ) => {
+
+		const message = event.data;
+
+		switch ( message.type ) {
+
+			case 'init':
+				canvas      = message.canvas;
+				context     = canvas.getContext( '2d' );
+				maskCanvas  = new OffscreenCanvas( canvas.width, canvas.height );
+				maskContext = maskCanvas.getContext( '2d' );
+				break;
+
+			// The image can turn up after the first frames, so those get drawn again with it.
+
+			case 'image':
+				image = message.image;
+
+				if ( latestFrame ) {
+					requestDraw();
+				}
+				break;
+
+			case 'frame':
+				latestFrame = message.frame;
+				requestDraw();
+				break;
+		}
+	} );
+}